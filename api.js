@@ -4,23 +4,28 @@
  */
 
 const API_CONFIG = {
-    // Default to production, can be overridden via chrome.storage.local.set({ apiBaseUrl: '...' })
+    // Fallback when config.js is not loaded; the environment is chosen on the options page
     baseURL: 'https://lingora-be-dxce.onrender.com',
-    timeout: 10000
+    timeout: 10000,
+    // Writes are never retried automatically, so give a cold-starting server time to answer
+    writeTimeout: 30000,
+    uploadTimeout: 60000, // Images can take a while on slow connections
+    handoffTimeout: 5000, // Opening the web app waits on it; past this the tab opens without a code
+    // Reads (GETs and requests marked idempotent) are retried after network errors, timeouts
+    // and gateway errors: a cold-starting Render backend answers 502/503 or nothing for up to a
+    // minute, and 4 attempts of 10 s with 2 + 4 + 8 s between them cover about that long
+    getRetries: 3,
+    retryDelay: 2000, // Doubles on each retry
+    retryStatuses: [502, 503, 504]
 };
 
 /**
- * Get the API base URL from storage or use default
+ * Get the API base URL for the environment chosen on the options page
  */
 async function getApiBaseUrl() {
-    // First try to get from chrome storage
-    const result = await chrome.storage.local.get(['apiBaseUrl']);
-    if (result.apiBaseUrl) {
-        return result.apiBaseUrl;
-    }
-
-    // Then try to use centralized config (if loaded)
+    // Centralized config reads the stored environment setting
     if (typeof globalThis !== 'undefined' && globalThis.LINGORA_CONFIG) {
+        await globalThis.LINGORA_CONFIG.ready;
         return globalThis.LINGORA_CONFIG.getBackendUrl();
     }
 
@@ -50,10 +55,74 @@ async function clearAuthToken() {
     await chrome.storage.local.remove(['accessToken', 'user']);
 }
 
+/**
+ * Error thrown when the caller aborted a request (e.g. the user cancelled a lookup)
+ */
+function createCancelledError() {
+    const error = new Error('Đã hủy yêu cầu');
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Wait before a retry; rejects early if the request is cancelled meanwhile
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createCancelledError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createCancelledError());
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * fetch() that gives up after a timeout
+ * @param {AbortSignal} [signal] - Caller's signal to cancel the request
+ * @param {number} [timeout] - Milliseconds before giving up
+ */
+async function fetchWithTimeout(url, fetchOptions, signal, timeout = API_CONFIG.timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+        return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+        if (signal && signal.aborted) throw createCancelledError();
+        if (controller.signal.aborted) {
+            const timeoutError = new Error('Máy chủ không phản hồi. Vui lòng thử lại sau.');
+            timeoutError.timeout = true;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
 /**
  * Make an API request
+ * A 401 triggers one shared token refresh (token-manager.js) and at most one retry;
+ * GETs are also retried with backoff while the server is unreachable or waking up.
+ * A write that times out may still have been applied: its error has outcomeUnknown set
+ * @param {Object} options - fetch options plus skipAuth, signal (to cancel), timeout and
+ *   idempotent (a POST that only reads, retried and timed out like a GET)
+ * @param {boolean} isRetry - Internal: this call is the retry after a refresh
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, isRetry = false) {
     const baseURL = await getApiBaseUrl();
     const token = options.skipAuth ? null : await getAuthToken();
 
@@ -79,20 +148,49 @@ async function apiRequest(endpoint, options = {}) {
         fetchOptions.body = JSON.stringify(options.body);
     }
 
+    const isRead = fetchOptions.method.toUpperCase() === 'GET' || !!options.idempotent;
+    const retries = isRead ? API_CONFIG.getRetries : 0;
+    const timeout = options.timeout || (isRead ? API_CONFIG.timeout : API_CONFIG.writeTimeout);
+
     try {
-        const response = await fetch(url, fetchOptions);
+        let response;
+        for (let attempt = 0; ; attempt++) {
+            const canRetry = attempt < retries;
+            try {
+                response = await fetchWithTimeout(url, fetchOptions, options.signal, timeout);
+            } catch (error) {
+                if (error.timeout && !isRead) {
+                    // The request reached the server; replaying it could create a duplicate
+                    error.outcomeUnknown = true;
+                    error.message = 'Máy chủ phản hồi quá chậm, chưa rõ đã lưu hay chưa. Hãy kiểm tra lại trước khi thử lại.';
+                }
+                if (error.cancelled || !canRetry) throw error;
+                console.warn(`Lingora: ${endpoint} failed, retrying`, error);
+                await waitForRetry(API_CONFIG.retryDelay * Math.pow(2, attempt), options.signal);
+                continue;
+            }
+
+            if (canRetry && API_CONFIG.retryStatuses.includes(response.status)) {
+                console.warn(`Lingora: ${endpoint} answered ${response.status}, retrying`);
+                await waitForRetry(API_CONFIG.retryDelay * Math.pow(2, attempt), options.signal);
+                continue;
+            }
+            break;
+        }
 
         // Handle 401 Unauthorized
         if (response.status === 401 && !options.skipAuth) {
-            // Try to refresh token
-            const refreshed = await refreshToken();
+            // Try to refresh token, unless the refreshed token was just rejected too
+            const refreshed = !isRetry && await refreshAccessToken(token);
             if (refreshed) {
-                // Retry the request
-                return apiRequest(endpoint, options);
+                // Retry the request once
+                return apiRequest(endpoint, options, true);
             } else {
                 // Refresh failed, clear auth and throw error
                 await clearAuthToken();
-                throw new Error('Session expired. Please log in again.');
+                const error = new Error('Session expired. Please log in again.');
+                error.status = 401;
+                throw error;
             }
         }
 
@@ -106,7 +204,9 @@ async function apiRequest(endpoint, options = {}) {
         }
 
         if (!response.ok) {
-            throw new Error(data.message || `Request failed with status ${response.status}`);
+            const error = new Error(data.message || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
 
         return data;
@@ -116,30 +216,6 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
-/**
- * Refresh authentication token
- */
-async function refreshToken() {
-    try {
-        const baseURL = await getApiBaseUrl();
-        const response = await fetch(`${baseURL}/auth/refresh-token`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include'
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            const newToken = data.metaData.accessToken;
-            await setAuthToken(newToken);
-            return true;
-        }
-    } catch (error) {
-        console.error('Token refresh failed:', error);
-    }
-    return false;
-}
-
 // ============================================================
 // API Methods
 // ============================================================
@@ -194,6 +270,15 @@ const api = {
         }
     },
 
+    /**
+     * Get a short-lived, single-use code the web app exchanges for a session
+     * @returns {Promise<string|null>}
+     */
+    createHandoffCode: async () => {
+        const data = await apiRequest('/auth/handoff-code', { method: 'POST', timeout: API_CONFIG.handoffTimeout });
+        return data.metaData ? data.metaData.code : null;
+    },
+
     /**
      * Get current user info
      */
@@ -205,18 +290,22 @@ const api = {
     /**
      * Look up a word in the dictionary
      */
-    lookupWord: async (term) => {
-        const data = await apiRequest(`/words/dictionary?term=${encodeURIComponent(term)}`);
+    lookupWord: async (term, sourceLang = 'en', targetLang = 'vi', signal = undefined) => {
+        const params = new URLSearchParams({ term, sourceLang, targetLang });
+        const data = await apiRequest(`/words/dictionary?${params}`, { signal });
         return data.metaData;
     },
 
     /**
      * Translate a phrase
      */
-    translatePhrase: async (text, sourceLang = 'en', targetLang = 'vi') => {
+    translatePhrase: async (text, sourceLang = 'en', targetLang = 'vi', signal = undefined) => {
         const data = await apiRequest('/translate/phrase', {
             method: 'POST',
-            body: { text, sourceLang, targetLang }
+            body: { text, sourceLang, targetLang },
+            // Translating writes nothing, so it can be retried while the server wakes up
+            idempotent: true,
+            signal
         });
         return data.metaData;
     },
@@ -245,6 +334,27 @@ const api = {
         return data.metaData;
     },
 
+    /**
+     * Update a study set's title and/or visibility
+     */
+    updateStudySet: async (studySetId, studySetData) => {
+        const data = await apiRequest(`/studysets/${studySetId}`, {
+            method: 'PATCH',
+            body: studySetData
+        });
+        return data.metaData;
+    },
+
+    /**
+     * Delete a study set and its flashcards
+     */
+    deleteStudySet: async (studySetId) => {
+        const data = await apiRequest(`/studysets/${studySetId}`, {
+            method: 'DELETE'
+        });
+        return data.metaData;
+    },
+
     /**
      * Add flashcard to a study set
      */
@@ -256,6 +366,25 @@ const api = {
         return data.metaData;
     },
 
+    /**
+     * Get the flashcards of a study set
+     */
+    getStudySetFlashcards: async (studySetId) => {
+        const data = await apiRequest(`/studysets/${studySetId}`);
+        return data.metaData.flashcards || [];
+    },
+
+    /**
+     * Update an existing flashcard in a study set
+     */
+    updateFlashcard: async (studySetId, flashcardId, flashcardData) => {
+        const data = await apiRequest(`/studysets/${studySetId}/flashcards/${flashcardId}`, {
+            method: 'PATCH',
+            body: flashcardData
+        });
+        return data.metaData;
+    },
+
     /**
      * Upload image (if needed)
      */
@@ -266,7 +395,8 @@ const api = {
         const data = await apiRequest('/uploads/image', {
             method: 'POST',
             body: formData,
-            headers: {} // Let browser set Content-Type for FormData
+            headers: {}, // Let browser set Content-Type for FormData
+            timeout: API_CONFIG.uploadTimeout
         });
         return data.metaData;
     }
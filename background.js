@@ -6,6 +6,16 @@
 // Import API client (in Manifest V3, we need to use importScripts)
 importScripts('config.js');
 importScripts('api.js');
+importScripts('token-manager.js');
+importScripts('lookup-cache.js');
+importScripts('outbox.js');
+importScripts('flashcard-index.js');
+importScripts('history.js');
+importScripts('review.js');
+importScripts('vocabulary.js');
+importScripts('word-levels.js');
+importScripts('flashcard-import.js');
+importScripts('pronunciation.js');
 
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -14,26 +24,161 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep the message channel open for async response
 });
 
+// Lookups the content popup can cancel ("máy chủ đang khởi động" state), by request id
+const cancellableRequests = new Map();
+
+/**
+ * Register a cancellable request
+ * @returns {AbortSignal|undefined} Signal for the API call, or undefined without a request id
+ */
+function trackCancellableRequest(requestId) {
+    if (!requestId) return undefined;
+    const controller = new AbortController();
+    cancellableRequests.set(requestId, controller);
+    return controller.signal;
+}
+
+// content.css for the content scripts' shadow roots, read once per worker. Sent as text
+// so the file is not a web accessible resource pages could probe to detect the extension
+let contentStyles = null;
+
+async function getContentStyles() {
+    if (!contentStyles) {
+        const response = await fetch(chrome.runtime.getURL('content.css'));
+        contentStyles = await response.text();
+    }
+    return contentStyles;
+}
+
 /**
  * Handle messages from content scripts and popup
  */
 async function handleMessage(request, sender) {
     try {
         switch (request.action) {
-            case 'lookupWord':
-                return await api.lookupWord(request.term);
+            case 'lookupWord': {
+                const signal = trackCancellableRequest(request.requestId);
+                const wordData = await cachedLookup(
+                    wordCacheKey(request.term, request.sourceLang, request.targetLang),
+                    () => api.lookupWord(request.term, request.sourceLang, request.targetLang, signal)
+                ).finally(() => cancellableRequests.delete(request.requestId));
+                // Batch saves from "Trích từ vựng" are not lookups the user made
+                if (!request.skipHistory) {
+                    saveToHistory(request.term, wordData, false, request.context);
+                }
+                return { ...wordData, level: await getWordLevel(request.term, request.sourceLang) };
+            }
 
-            case 'translatePhrase':
-                return await api.translatePhrase(request.text, request.sourceLang, request.targetLang);
+            case 'translatePhrase': {
+                const signal = trackCancellableRequest(request.requestId);
+                const translation = await cachedLookup(
+                    phraseCacheKey(request.text, request.sourceLang, request.targetLang),
+                    () => api.translatePhrase(request.text, request.sourceLang, request.targetLang, signal)
+                ).finally(() => cancellableRequests.delete(request.requestId));
+                saveToHistory(request.text, translation, true, request.context);
+                return translation;
+            }
+
+            case 'cancelRequest': {
+                const controller = cancellableRequests.get(request.requestId);
+                if (controller) {
+                    controller.abort();
+                    cancellableRequests.delete(request.requestId);
+                }
+                return { success: true };
+            }
+
+            case 'getHistory':
+                return await getHistory();
+
+            case 'deleteHistoryEntries':
+                return await deleteHistoryEntries(request.ids);
+
+            case 'sendHistoryToStudySet':
+                return await sendHistoryToStudySet(request.ids, request.studySetId);
+
+            case 'clearLookupCache':
+                await clearLookupCache();
+                return { success: true };
 
             case 'getStudySets':
                 return await api.getStudySets();
 
-            case 'createStudySet':
-                return await api.createStudySet(request.title, request.visibility);
+            case 'createStudySet': {
+                const result = await runOrQueue('createStudySet', {
+                    title: request.title,
+                    visibility: request.visibility
+                });
+                invalidateFlashcardIndex();
+                return result;
+            }
+
+            case 'getStudySetSummaries':
+                return await getStudySetSummaries();
 
-            case 'addFlashcard':
-                return await api.addFlashcard(request.studySetId, request.flashcardData);
+            case 'updateStudySet': {
+                const result = await api.updateStudySet(request.studySetId, request.studySetData);
+                invalidateFlashcardIndex();
+                return result;
+            }
+
+            case 'deleteStudySet':
+                return await deleteStudySet(request.studySetId);
+
+            case 'getStudySetFlashcards':
+                return await api.getStudySetFlashcards(request.studySetId);
+
+            case 'importFlashcards':
+                return await importFlashcards(request.studySetId, request.cards, { dryRun: !!request.dryRun });
+
+            case 'getImportJob':
+                return await getImportJobSummary();
+
+            case 'clearImportJob':
+                return await clearImportJob();
+
+            case 'addFlashcard': {
+                if (request.studySetId) {
+                    await chrome.storage.local.set({ defaultStudySetId: request.studySetId });
+                }
+                // A queued save invalidates again when the outbox replays it
+                const result = await runOrQueue('addFlashcard', {
+                    studySetId: request.studySetId,
+                    flashcardData: request.flashcardData
+                }, request.dependsOn);
+                invalidateFlashcardIndex();
+                return result;
+            }
+
+            case 'updateFlashcard': {
+                const result = await api.updateFlashcard(request.studySetId, request.flashcardId, request.flashcardData);
+                invalidateFlashcardIndex();
+                return result;
+            }
+
+            case 'findDuplicates':
+                return await findFlashcardDuplicates(request.frontText);
+
+            case 'extractVocabulary':
+                return await extractVocabulary(request.text);
+
+            case 'getContentStyles':
+                return { css: await getContentStyles() };
+
+            case 'getWordLevel':
+                return { level: await getWordLevel(request.term, request.sourceLang) };
+
+            case 'getSavedTerms':
+                return await getSavedTerms();
+
+            case 'getReviewSession':
+                return await getReviewSession();
+
+            case 'gradeReviewCard':
+                return await gradeReviewCard(request.flashcardId, request.grade);
+
+            case 'getDefaultStudySet':
+                return await getDefaultStudySet();
 
             case 'login':
                 return await api.login(request.identifier, request.password);
@@ -41,11 +186,24 @@ async function handleMessage(request, sender) {
             case 'googleLogin':
                 return await api.googleLogin(request.idToken);
 
+            case 'googleSignIn':
+                return await handleGoogleSignIn();
+
             case 'uploadImage':
-                const bytes = new Uint8Array(request.fileData);
-                const blob = new Blob([bytes], { type: request.fileType });
-                const file = new File([blob], request.fileName, { type: request.fileType });
-                return await api.uploadImage(file);
+                return await runOrQueue('uploadImage', {
+                    fileData: bytesToBase64(request.fileData),
+                    fileName: request.fileName,
+                    fileType: request.fileType
+                });
+
+            case 'getOutbox':
+                return await getOutbox();
+
+            case 'retryOutboxItem':
+                return await retryOutboxItem(request.id);
+
+            case 'discardOutboxItem':
+                return await discardOutboxItem(request.id);
 
             case 'logout':
                 return await api.logout();
@@ -62,6 +220,14 @@ async function handleMessage(request, sender) {
                 };
 
             case 'syncAuth':
+                // Only the content script running on the web app itself may change the login
+                if (!(await isWebAppSender(sender))) {
+                    console.warn('Lingora: Ignored auth sync from', sender.origin || sender.url);
+                    return { error: 'Auth sync is only accepted from the Lingora web app' };
+                }
+                if (request.accessToken !== null && typeof request.accessToken !== 'string') {
+                    return { error: 'Invalid auth sync message' };
+                }
                 if (request.accessToken) {
                     await chrome.storage.local.set({
                         accessToken: request.accessToken,
@@ -74,17 +240,53 @@ async function handleMessage(request, sender) {
                 }
                 return { success: true };
 
+            case 'showInTopFrame':
+                // A frame hands its lookup to the top frame, which owns the tab's popup
+                if (!sender.tab || !['lookupSelection', 'extractSelection'].includes(request.message && request.message.action)) {
+                    return { error: 'Invalid message' };
+                }
+                await sendToContentScript(sender.tab.id, request.message, 0);
+                return { success: true };
+
+            case 'selectionButtonShown':
+                // Hide the button left in any other frame of the tab
+                if (sender.tab) {
+                    sendToContentScript(sender.tab.id, { action: 'hideSelectionButton', frameToken: request.frameToken }, null);
+                }
+                return { success: true };
+
+            case 'openWebApp':
+                if (typeof request.path !== 'string' || !request.path.startsWith('/') || request.path.startsWith('//')) {
+                    return { error: 'Invalid web app path' };
+                }
+                return await openWebApp(request.path, sender.tab);
+
             case 'openPopup':
                 // Open extension popup programmatically
                 chrome.action.openPopup();
                 return { success: true };
 
             case 'playAudio':
-                if (request.url) {
-                    await playAudio(request.url);
-                    return { success: true };
+                if (request.url && !request.url.startsWith('https://')) {
+                    return { error: 'Only https audio URLs are allowed' };
+                }
+                if (!request.url && !request.text) {
+                    return { error: 'No URL or text provided' };
                 }
-                return { error: 'No URL provided' };
+                // Without a usable recording the text is spoken (chrome.tts / speechSynthesis)
+                return await playPronunciation({
+                    url: request.url,
+                    text: request.text,
+                    lang: request.lang || 'en-US',
+                    slow: !!request.slow
+                });
+
+            case 'stopAudio':
+                await stopPronunciation();
+                return { success: true };
+
+            case 'replayAudio':
+                return await replayPronunciation();
 
             default:
                 throw new Error(`Unknown action: ${request.action}`);
@@ -97,6 +299,10 @@ async function handleMessage(request, sender) {
 
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener((details) => {
+    createContextMenus();
+    scheduleReviewAlarm();
+    getAuthToken().then(scheduleTokenRenewal);
+
     if (details.reason === 'install') {
         console.log('Lingora Extension installed');
         // Open welcome page or popup
@@ -107,30 +313,308 @@ chrome.runtime.onInstalled.addListener((details) => {
 });
 
 /**
- * Play audio using offscreen document
+ * Toolbar badge: unsynced saves (amber) take priority over cards due for review (green)
  */
-async function playAudio(url) {
-    // Check if offscreen document already exists
-    const contexts = await chrome.runtime.getContexts({
-        contextTypes: ['OFFSCREEN_DOCUMENT']
+async function updateBadge() {
+    const [pending, review] = await Promise.all([getOutbox(), getReviewState()]);
+
+    if (pending.length > 0) {
+        await chrome.action.setBadgeBackgroundColor({ color: '#F59E0B' });
+        await chrome.action.setBadgeText({ text: String(pending.length) });
+    } else {
+        await chrome.action.setBadgeBackgroundColor({ color: '#00BC7D' });
+        await chrome.action.setBadgeText({ text: review.dueCount > 0 ? String(review.dueCount) : '' });
+    }
+}
+
+/**
+ * Record a lookup in the history without delaying or failing the lookup itself
+ */
+function saveToHistory(term, result, isPhrase, context) {
+    if (!result) return;
+    recordLookup({ term, result, isPhrase, context })
+        .catch(error => console.error('Lingora: Could not record lookup history', error));
+}
+
+/**
+ * Get the study set quick saves go to: the last one used, else the first one
+ */
+async function getDefaultStudySet() {
+    const studySets = await api.getStudySets();
+    if (studySets.length === 0) return null;
+
+    const { defaultStudySetId } = await chrome.storage.local.get(['defaultStudySetId']);
+    return studySets.find(set => set.id === defaultStudySetId) || studySets[0];
+}
+
+/**
+ * Study sets with their card counts, most recently modified first (popup dashboard)
+ */
+async function getStudySetSummaries() {
+    const [studySets, index] = await Promise.all([
+        api.getStudySets(),
+        getFlashcardIndex({ refresh: true })
+    ]);
+
+    const counts = new Map();
+    index.entries.forEach(cards => {
+        cards.forEach(card => counts.set(card.studySetId, (counts.get(card.studySetId) || 0) + 1));
     });
 
-    if (contexts.length === 0) {
-        await chrome.offscreen.createDocument({
-            url: 'offscreen.html',
-            reasons: ['AUDIO_PLAYBACK'],
-            justification: 'Play word pronunciation'
-        });
+    return studySets
+        .map(set => ({
+            id: set.id,
+            title: set.title,
+            visibility: set.visibility,
+            updatedAt: set.updatedAt || set.createdAt || null,
+            flashcardCount: counts.get(set.id) || 0
+        }))
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+}
+
+/**
+ * Delete a study set and forget it as the quick-save target
+ */
+async function deleteStudySet(studySetId) {
+    const result = await api.deleteStudySet(studySetId);
+    invalidateFlashcardIndex();
+
+    const { defaultStudySetId } = await chrome.storage.local.get(['defaultStudySetId']);
+    if (defaultStudySetId === studySetId) {
+        await chrome.storage.local.remove(['defaultStudySetId']);
+    }
+    return result;
+}
+
+/**
+ * Sign in with Google: get an ID token through chrome.identity.launchWebAuthFlow
+ * and exchange it for a Lingora session (api.googleLogin)
+ * Errors, including the user closing the Google window, are thrown with a message for the popup
+ */
+async function signInWithGoogle() {
+    await LINGORA_CONFIG.ready;
+    const clientId = LINGORA_CONFIG.google.clientId;
+    if (!clientId) {
+        throw new Error('Đăng nhập với Google chưa được cấu hình cho bản extension này.');
     }
 
-    // Send audio URL to offscreen document
-    chrome.runtime.sendMessage({
-        action: 'playAudioOffscreen',
-        url: url
+    // Ties the returned ID token to this sign-in attempt
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
+    authUrl.search = new URLSearchParams({
+        client_id: clientId,
+        response_type: 'id_token',
+        redirect_uri: chrome.identity.getRedirectURL(),
+        scope: 'openid email profile',
+        prompt: 'select_account',
+        nonce
     });
+
+    let redirectUrl;
+    try {
+        redirectUrl = await chrome.identity.launchWebAuthFlow({ url: authUrl.href, interactive: true });
+    } catch (error) {
+        // Chrome reports a closed window as "The user did not approve access."
+        if (/did not approve|cancel/i.test(error.message)) {
+            throw new Error('Bạn đã hủy đăng nhập với Google.');
+        }
+        throw new Error(`Không thể mở cửa sổ đăng nhập Google: ${error.message}`);
+    }
+
+    // The ID token comes back in the URL fragment
+    const params = new URLSearchParams(new URL(redirectUrl).hash.slice(1));
+    if (params.get('error')) {
+        throw new Error(params.get('error') === 'access_denied'
+            ? 'Bạn đã hủy đăng nhập với Google.'
+            : `Google từ chối đăng nhập: ${params.get('error')}`);
+    }
+
+    const idToken = params.get('id_token');
+    const claims = idToken ? decodeJwtPayload(idToken) : null;
+    if (!claims || claims.nonce !== nonce) {
+        throw new Error('Google không trả về thông tin đăng nhập hợp lệ.');
+    }
+
+    return await api.googleLogin(idToken);
+}
+
+// Last Google sign-in error, for the next time the popup opens: the Google window takes
+// focus and closes the popup that started the sign-in before it can show the error
+const GOOGLE_SIGN_IN_ERROR_KEY = 'googleSignInError';
+
+/**
+ * Run a Google sign-in and remember its error in session storage
+ */
+async function handleGoogleSignIn() {
+    await chrome.storage.session.remove([GOOGLE_SIGN_IN_ERROR_KEY]);
+    try {
+        return await signInWithGoogle();
+    } catch (error) {
+        await chrome.storage.session.set({ [GOOGLE_SIGN_IN_ERROR_KEY]: error.message });
+        throw error;
+    }
+}
+
+// Set when the backend has no handoff endpoint, so later links skip straight to the fallback
+let handoffUnsupported = false;
+
+/**
+ * Open a web app page in a new tab, signed in through a one-time handoff code
+ * Logged out, or on a backend without the handoff endpoint, the plain URL is opened and
+ * the web app signs in with its own refresh-token cookie as before
+ * @param {string} path - Path on the web app
+ * @param {chrome.tabs.Tab} [openerTab] - Tab the link was clicked in
+ */
+async function openWebApp(path, openerTab) {
+    await LINGORA_CONFIG.ready;
+    let url = LINGORA_CONFIG.getWebAppUrl(path);
+
+    const { accessToken } = await chrome.storage.local.get(['accessToken']);
+    if (accessToken && !handoffUnsupported) {
+        try {
+            const code = await api.createHandoffCode();
+            if (code) {
+                url = LINGORA_CONFIG.getWebAppUrlWithHandoff(path, code);
+            }
+        } catch (error) {
+            if ([404, 405, 501].includes(error.status)) {
+                handoffUnsupported = true;
+            }
+            console.warn('Lingora: No handoff code, opening web app without one', error);
+        }
+    }
+
+    await chrome.tabs.create(openerTab ? { url, index: openerTab.index + 1, openerTabId: openerTab.id } : { url });
+    return { success: true };
+}
+
+/**
+ * Whether a message comes from the top frame of a tab showing the configured web app
+ */
+async function isWebAppSender(sender) {
+    if (!sender.tab || sender.frameId !== 0) return false;
+
+    await LINGORA_CONFIG.ready;
+    const webAppOrigin = LINGORA_CONFIG.getWebAppOrigin();
+    const senderOrigin = sender.origin || (sender.url ? new URL(sender.url).origin : null);
+    return !!webAppOrigin && senderOrigin === webAppOrigin;
 }
 
+/**
+ * Register the right-click menu entries for selected text
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'lingora-lookup-selection',
+            title: 'Tra cứu với Lingora',
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: 'lingora-extract-vocabulary',
+            title: 'Trích từ vựng với Lingora',
+            contexts: ['selection']
+        });
+    });
+}
+
+/**
+ * Forward a lookup/save request to the content script of a tab
+ * @param {number|null} frameId - Frame to address (0 = top frame), or null for every frame
+ */
+async function sendToContentScript(tabId, message, frameId = 0) {
+    try {
+        if (frameId === null) {
+            await chrome.tabs.sendMessage(tabId, message);
+        } else {
+            await chrome.tabs.sendMessage(tabId, message, { frameId });
+        }
+    } catch (error) {
+        // No content script on chrome:// pages, the Web Store, or tabs opened before install
+        console.warn('Lingora: Content script not available in this tab', error);
+    }
+}
+
+// Context menu: look up the selection the user right-clicked, or mine it for vocabulary
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab || tab.id === undefined) return;
+
+    if (info.menuItemId === 'lingora-lookup-selection') {
+        sendToContentScript(tab.id, {
+            action: 'lookupSelection',
+            text: info.selectionText
+        }, info.frameId || 0);
+    } else if (info.menuItemId === 'lingora-extract-vocabulary') {
+        sendToContentScript(tab.id, {
+            action: 'extractSelection',
+            text: info.selectionText
+        }, info.frameId || 0);
+    }
+});
+
+// Keyboard shortcuts declared in manifest.json "commands"
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab || tab.id === undefined) return;
+
+    if (command === 'lookup-selection') {
+        // The selection may be inside a frame; only the focused frame answers
+        sendToContentScript(tab.id, { action: 'lookupSelection', fromShortcut: true }, null);
+    } else if (command === 'save-last-lookup') {
+        sendToContentScript(tab.id, { action: 'saveLastLookup' });
+    }
+});
+
 // Keep service worker alive
 chrome.runtime.onStartup.addListener(() => {
     console.log('Lingora Extension started');
+    scheduleReviewAlarm();
+    updateBadge();
+    processOutbox();
+    refreshReviewDueCount();
+    runImportJob();
+    getAuthToken().then(scheduleTokenRenewal);
+});
+
+// Replay queued saves when their backoff expires; recount due reviews periodically; renew the access token;
+// continue an import a stopped worker left unfinished
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === OUTBOX_CONFIG.alarmName) {
+        processOutbox();
+    } else if (alarm.name === REVIEW_CONFIG.alarmName) {
+        refreshReviewDueCount();
+    } else if (alarm.name === TOKEN_CONFIG.alarmName) {
+        renewAccessToken();
+    } else if (alarm.name === IMPORT_CONFIG.alarmName) {
+        runImportJob();
+    }
+});
+
+// Replay queued saves as soon as connectivity comes back
+self.addEventListener('online', () => {
+    processOutbox({ force: true });
+});
+
+// React to login/logout: replay queued saves and drop per-user state
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    // Logged in again (popup, web app sync or token refresh)
+    if (changes.accessToken && changes.accessToken.newValue) {
+        processOutbox({ force: true });
+    }
+
+    // Renew before the new token expires (or stop renewing after logout)
+    if (changes.accessToken) {
+        scheduleTokenRenewal(changes.accessToken.newValue);
+    }
+
+    // A different (or no) user: the indexed cards belong to someone else
+    if (changes.user) {
+        invalidateFlashcardIndex();
+        if (changes.user.newValue) {
+            refreshReviewDueCount();
+        } else {
+            setReviewDueCount(0);
+        }
+    }
 });
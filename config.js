@@ -1,8 +1,9 @@
 /**
  * Configuration file for Lingora Chrome Extension
  * 
- * IMPORTANT: This is the ONLY file you need to edit to switch between environments
- * Change ENVIRONMENT to 'localhost' or 'production' as needed
+ * ENVIRONMENT below is the default for a fresh install. Users (and developers) can
+ * switch to localhost or a custom backend from the extension's options page, which
+ * stores the choice in chrome.storage.local and overrides this default everywhere.
  */
 
 // ============================================================
@@ -18,14 +19,24 @@ const ENVIRONMENT = 'production'; // <-- CHANGE THIS VALUE ONLY
 // AUTO-GENERATED CONFIGURATION (DO NOT EDIT BELOW)
 // ============================================================
 
+// Known environments, selectable on the options page
+const ENVIRONMENT_PRESETS = {
+    production: {
+        webAppUrl: 'https://lingora-web-app.vercel.app',
+        backendUrl: 'https://lingora-be-dxce.onrender.com'
+    },
+    localhost: {
+        webAppUrl: 'http://localhost:3000',
+        backendUrl: 'http://localhost:4000'
+    }
+};
+
 const CONFIG = {
     environment: ENVIRONMENT,
 
     // Web app base URLs
     webApp: {
-        baseUrl: ENVIRONMENT === 'localhost'
-            ? 'http://localhost:3000'
-            : 'https://lingora-web-app.vercel.app',
+        baseUrl: ENVIRONMENT_PRESETS[ENVIRONMENT].webAppUrl,
 
         // Common paths
         paths: {
@@ -37,25 +48,44 @@ const CONFIG = {
         }
     },
 
+    // Google sign-in: OAuth client ID of type "Web application" (the one the backend checks
+    // ID tokens against) with https://<extension-id>.chromiumapp.org/ as a redirect URI.
+    // Empty by default: the Google button stays hidden until a client ID is filled in
+    // (README, "Cấu hình đăng nhập Google")
+    google: {
+        clientId: ''
+    },
+
     // Backend API URL
     backend: {
-        baseUrl: ENVIRONMENT === 'localhost'
-            ? 'http://localhost:4000'
-            : 'https://lingora-be-dxce.onrender.com'
+        baseUrl: ENVIRONMENT_PRESETS[ENVIRONMENT].backendUrl
     },
 
+    // Environment chosen on the options page: { environment, webAppUrl, backendUrl }
+    storageKey: 'environmentSettings',
+    presets: ENVIRONMENT_PRESETS,
+
     // Helper function to generate full URLs
     getWebAppUrl: function (path = '/study-sets') {
         return `${this.webApp.baseUrl}${path}`;
     },
 
-    // Helper function to generate URLs with syncToken
-    getWebAppUrlWithSync: function (path = '/study-sets', accessToken = null) {
+    // Origin of the web app, the only page allowed to exchange auth state with the extension
+    getWebAppOrigin: function () {
+        try {
+            return new URL(this.webApp.baseUrl).origin;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Helper function to generate URLs with a one-time handoff code (see openWebApp in background.js)
+    getWebAppUrlWithHandoff: function (path = '/study-sets', code = null) {
         const url = this.getWebAppUrl(path);
 
-        if (accessToken) {
+        if (code) {
             const separator = path.includes('?') ? '&' : '?';
-            return `${url}${separator}syncToken=${accessToken}`;
+            return `${url}${separator}handoffCode=${encodeURIComponent(code)}`;
         }
 
         return url;
@@ -64,6 +94,34 @@ const CONFIG = {
     // Helper function to get backend URL
     getBackendUrl: function () {
         return this.backend.baseUrl;
+    },
+
+    // Switch URLs to a stored environment (falls back to ENVIRONMENT when unset)
+    applySettings: function (settings) {
+        const environment = settings && settings.environment ? settings.environment : ENVIRONMENT;
+        const urls = environment === 'custom' ? settings : ENVIRONMENT_PRESETS[environment] || ENVIRONMENT_PRESETS[ENVIRONMENT];
+
+        this.environment = environment;
+        this.webApp.baseUrl = urls.webAppUrl.replace(/\/+$/, '');
+        this.backend.baseUrl = urls.backendUrl.replace(/\/+$/, '');
+    },
+
+    // Read the stored environment
+    loadSettings: async function () {
+        const result = await chrome.storage.local.get([this.storageKey, 'apiBaseUrl']);
+        let settings = result[this.storageKey];
+
+        // Older builds only honoured a hidden apiBaseUrl key; treat it as a custom backend
+        if (!settings && result.apiBaseUrl) {
+            settings = {
+                environment: 'custom',
+                webAppUrl: ENVIRONMENT_PRESETS[ENVIRONMENT].webAppUrl,
+                backendUrl: result.apiBaseUrl
+            };
+        }
+
+        this.applySettings(settings);
+        return settings;
     }
 };
 
@@ -76,3 +134,18 @@ if (typeof window !== 'undefined') {
 if (typeof globalThis !== 'undefined') {
     globalThis.LINGORA_CONFIG = CONFIG;
 }
+
+// Apply the environment from the options page; wait for CONFIG.ready before reading URLs
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+    CONFIG.ready = CONFIG.loadSettings().catch(error => {
+        console.error('Lingora: Could not load environment settings', error);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[CONFIG.storageKey]) {
+            CONFIG.applySettings(changes[CONFIG.storageKey].newValue);
+        }
+    });
+} else {
+    CONFIG.ready = Promise.resolve();
+}
@@ -0,0 +1,414 @@
+/**
+ * Saved Word Highlighting for Lingora Chrome Extension
+ * Opt-in mode that underlines words the user already has flashcards for and
+ * shows the saved meaning on hover. Runs after content.js and reuses its
+ * rendering layer (html``, render) and shadow root (getUiRoot).
+ */
+
+const HIGHLIGHT_CONFIG = {
+    tagName: 'lingora-mark',
+    maxHighlights: 1000,
+    idleBudget: 8, // ms of work per idle callback
+    hoverDelay: 250
+};
+
+// Subtrees that are never scanned: non-text content, form fields, code
+const HIGHLIGHT_SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION',
+    'BUTTON', 'CODE', 'PRE', 'KBD', 'SAMP', 'SVG', 'MATH', 'IFRAME', 'CANVAS', 'LINGORA-UI'
+]);
+
+let highlightEnabled = false;
+let savedTerms = new Map();
+let savedTermsPattern = null;
+let highlightCount = 0;
+let highlightObserver = null;
+let pendingScanRoots = [];
+// Walk in progress over one queued root, resumed by the next idle callback: { walker, pattern, next }
+let activeScan = null;
+let scanScheduled = false;
+let hoverCard = null;
+let hoverTimer = null;
+
+/**
+ * Start highlighting if enabled and follow setting changes
+ */
+async function initHighlighting() {
+    await syncHighlighting();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+
+        if (changes.highlightSavedWords || changes[window.LINGORA_SITE_SETTINGS.storageKey]) {
+            syncHighlighting();
+        } else if (changes.flashcardIndex && highlightEnabled) {
+            // Cards changed (saved, updated, other user, index rebuilt): pick up the new terms
+            updateSavedTerms();
+        }
+    });
+}
+
+/**
+ * Highlight only when the option is on and the extension is enabled for this site
+ */
+async function syncHighlighting() {
+    const siteSettingsApi = window.LINGORA_SITE_SETTINGS;
+    const [{ highlightSavedWords }, settings] = await Promise.all([
+        chrome.storage.local.get(['highlightSavedWords']),
+        siteSettingsApi.getSettings()
+    ]);
+
+    if (highlightSavedWords && siteSettingsApi.isSiteEnabled(settings, getPageHostname())) {
+        await enableHighlighting();
+    } else if (highlightEnabled) {
+        disableHighlighting();
+    }
+}
+
+/**
+ * Fetch the user's saved terms
+ * @returns {Promise<Array<{term: string, cards: Array}>>} Empty when logged out
+ */
+async function fetchSavedTerms() {
+    const auth = await chrome.runtime.sendMessage({ action: 'checkAuth' });
+    if (!auth || !auth.isAuthenticated) return [];
+
+    const terms = await chrome.runtime.sendMessage({ action: 'getSavedTerms' });
+    return Array.isArray(terms) ? terms : [];
+}
+
+/**
+ * Pattern matching any of the terms as whole words
+ * @returns {RegExp|null} null when there are no terms
+ */
+function buildTermsPattern(terms) {
+    if (terms.length === 0) return null;
+
+    // Longest first so phrases win over the single words they contain
+    const alternatives = terms
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Replace the saved terms and the pattern that matches them
+ */
+function setSavedTerms(terms) {
+    savedTerms = new Map(terms.map(({ term, cards }) => [term, cards]));
+    savedTermsPattern = buildTermsPattern(terms.map(({ term }) => term));
+}
+
+/**
+ * Change the page without the observer seeing it as new content
+ * Page mutations already queued are handled first so none are lost
+ */
+function mutatePage(change) {
+    if (highlightObserver) handleHighlightMutations(highlightObserver.takeRecords());
+    change();
+    if (highlightObserver) highlightObserver.takeRecords();
+}
+
+/**
+ * Queue content the page added for scanning
+ */
+function handleHighlightMutations(mutations) {
+    mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.tagName !== HIGHLIGHT_CONFIG.tagName.toUpperCase()) {
+                queueHighlightScan(node);
+            } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+                queueHighlightScan(node.parentElement);
+            }
+        });
+    });
+}
+
+/**
+ * Turn highlighting on: scan the page and watch for new content
+ */
+async function enableHighlighting() {
+    if (highlightEnabled) return;
+    highlightEnabled = true;
+
+    let terms;
+    try {
+        terms = await fetchSavedTerms();
+    } catch (e) {
+        console.error('Lingora: Could not load saved words', e);
+        highlightEnabled = false;
+        return;
+    }
+    if (!highlightEnabled) return;
+
+    // Watch even with no saved terms yet, so the first saved card shows up without a reload
+    setSavedTerms(terms);
+    queueHighlightScan(document.body);
+
+    highlightObserver = new MutationObserver(handleHighlightMutations);
+    highlightObserver.observe(document.body, { childList: true, subtree: true });
+
+    document.addEventListener('mouseover', handleHighlightHover);
+    document.addEventListener('mouseout', handleHighlightLeave);
+}
+
+/**
+ * Turn highlighting off and restore the page text
+ */
+function disableHighlighting() {
+    highlightEnabled = false;
+    pendingScanRoots = [];
+    activeScan = null;
+
+    if (highlightObserver) {
+        highlightObserver.disconnect();
+        highlightObserver = null;
+    }
+    document.removeEventListener('mouseover', handleHighlightHover);
+    document.removeEventListener('mouseout', handleHighlightLeave);
+    hideHoverCard();
+
+    document.querySelectorAll(HIGHLIGHT_CONFIG.tagName).forEach(unwrapMark);
+    highlightCount = 0;
+}
+
+/**
+ * Put a highlighted word back as plain text
+ */
+function unwrapMark(mark) {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+}
+
+/**
+ * Apply a change of saved cards: unwrap terms that are gone and scan the page
+ * only for terms that are new. Cards of a term that stays are swapped in place
+ * for the hover card. A new phrase over words that are already marked is only
+ * picked up on the next page load.
+ */
+async function updateSavedTerms() {
+    let terms;
+    try {
+        terms = await fetchSavedTerms();
+    } catch (e) {
+        console.error('Lingora: Could not load saved words', e);
+        return;
+    }
+    if (!highlightEnabled) return;
+
+    const previous = savedTerms;
+    setSavedTerms(terms);
+
+    const stale = Array.from(document.querySelectorAll(HIGHLIGHT_CONFIG.tagName))
+        .filter(mark => !savedTerms.has(mark.dataset.term));
+    if (stale.length > 0) {
+        hideHoverCard();
+        mutatePage(() => stale.forEach(unwrapMark));
+        highlightCount -= stale.length;
+    }
+
+    const addedPattern = buildTermsPattern(terms.map(({ term }) => term).filter(term => !previous.has(term)));
+    if (addedPattern) {
+        queueHighlightScan(document.body, addedPattern);
+    }
+}
+
+/**
+ * Schedule a subtree for scanning when the browser is idle
+ * @param {Node} root
+ * @param {RegExp} [pattern] - Terms to look for; all saved terms by default
+ */
+function queueHighlightScan(root, pattern = null) {
+    if (!highlightEnabled || !root || !savedTermsPattern || highlightCount >= HIGHLIGHT_CONFIG.maxHighlights) return;
+
+    pendingScanRoots.push({ root, pattern });
+    if (!scanScheduled) {
+        scanScheduled = true;
+        requestIdleCallback(runHighlightScan, { timeout: 2000 });
+    }
+}
+
+/**
+ * Whether an element's subtree must not be scanned or modified
+ */
+function isSkippedElement(element) {
+    return HIGHLIGHT_SKIP_TAGS.has(element.tagName)
+        || element.tagName === HIGHLIGHT_CONFIG.tagName.toUpperCase()
+        || element.isContentEditable;
+}
+
+/**
+ * Start walking the next queued root that may be scanned
+ * @returns {boolean} Whether a walk was started
+ */
+function startNextHighlightScan() {
+    while (pendingScanRoots.length > 0) {
+        const { root, pattern } = pendingScanRoots.shift();
+        if (!root.isConnected) continue;
+        // Skip roots inside an excluded ancestor (e.g. content added to an editor)
+        const rootElement = root.nodeType === Node.ELEMENT_NODE ? root : root.parentElement;
+        if (!rootElement || rootElement.closest(`${HIGHLIGHT_CONFIG.tagName}, [contenteditable=""], [contenteditable="true"], textarea, code, pre`)) continue;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    return isSkippedElement(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+                }
+                return node.nodeValue.trim().length > 1 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+        });
+        activeScan = { walker, pattern, next: walker.nextNode() };
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Scan queued subtrees text node by text node within the idle time budget; a walk
+ * that runs out of time is resumed in the next callback, even halfway through a root
+ */
+function runHighlightScan(deadline) {
+    scanScheduled = false;
+    const started = performance.now();
+    const outOfTime = () => performance.now() - started >= HIGHLIGHT_CONFIG.idleBudget
+        || (!deadline.didTimeout && deadline.timeRemaining() <= 0);
+
+    mutatePage(() => {
+        while (highlightCount < HIGHLIGHT_CONFIG.maxHighlights && !outOfTime()) {
+            if (!activeScan && !startNextHighlightScan()) break;
+
+            const textNode = activeScan.next;
+            if (!textNode) {
+                activeScan = null;
+                continue;
+            }
+            // Step past the node before wrapping it, so replacing it does not lose the walker's place
+            activeScan.next = activeScan.walker.nextNode();
+            if (textNode.isConnected) {
+                highlightTextNode(textNode, activeScan.pattern || savedTermsPattern);
+            }
+        }
+    });
+
+    if ((activeScan || pendingScanRoots.length > 0) && highlightCount < HIGHLIGHT_CONFIG.maxHighlights) {
+        scanScheduled = true;
+        requestIdleCallback(runHighlightScan, { timeout: 2000 });
+    }
+}
+
+/**
+ * Wrap saved terms inside a text node with <lingora-mark>
+ */
+function highlightTextNode(textNode, pattern) {
+    const parent = textNode.parentElement;
+    if (!parent) return;
+
+    const text = textNode.nodeValue;
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return;
+
+    // Hidden text (collapsed menus, off-screen templates) is not worth touching;
+    // checked after the match because checkVisibility forces layout
+    if (parent.checkVisibility && !parent.checkVisibility()) return;
+
+    pattern.lastIndex = 0;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null && highlightCount < HIGHLIGHT_CONFIG.maxHighlights) {
+        if (match.index > lastIndex) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+
+        const mark = document.createElement(HIGHLIGHT_CONFIG.tagName);
+        mark.textContent = match[0];
+        mark.dataset.term = match[0].replace(/\s+/g, ' ').toLowerCase();
+        mark.style.cssText = 'all: unset; text-decoration: underline dotted #00BC7D 2px; text-underline-offset: 3px; cursor: help;';
+        fragment.appendChild(mark);
+
+        highlightCount++;
+        lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    parent.replaceChild(fragment, textNode);
+}
+
+/**
+ * Show the saved card when hovering a highlighted word
+ */
+function handleHighlightHover(event) {
+    const mark = event.target.closest && event.target.closest(HIGHLIGHT_CONFIG.tagName);
+    if (!mark) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => showHoverCard(mark), HIGHLIGHT_CONFIG.hoverDelay);
+}
+
+/**
+ * Hide the card shortly after the pointer leaves a highlighted word
+ */
+function handleHighlightLeave(event) {
+    const mark = event.target.closest && event.target.closest(HIGHLIGHT_CONFIG.tagName);
+    if (!mark) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(hideHoverCard, HIGHLIGHT_CONFIG.hoverDelay);
+}
+
+/**
+ * Render the compact saved-card view next to a highlighted word
+ */
+function showHoverCard(mark) {
+    const cards = savedTerms.get(mark.dataset.term);
+    if (!cards) return;
+
+    hideHoverCard();
+
+    hoverCard = document.createElement('div');
+    hoverCard.className = 'lingora-hover-card';
+    render(hoverCard, html`
+        ${cards.map(card => html`
+            <div class="lingora-hover-entry">
+                <div class="lingora-hover-front">${card.frontText}</div>
+                <div class="lingora-hover-back">${card.backText}</div>
+                <div class="lingora-hover-set">${card.studySetTitle}</div>
+            </div>
+        `)}
+    `);
+
+    const rect = mark.getBoundingClientRect();
+    hoverCard.style.left = `${rect.left + window.scrollX}px`;
+    hoverCard.style.top = `${rect.bottom + window.scrollY + 6}px`;
+
+    // Keep the card open while the pointer is on it
+    hoverCard.addEventListener('mouseenter', () => clearTimeout(hoverTimer));
+    hoverCard.addEventListener('mouseleave', () => {
+        hoverTimer = setTimeout(hideHoverCard, HIGHLIGHT_CONFIG.hoverDelay);
+    });
+
+    getUiRoot().appendChild(hoverCard);
+}
+
+/**
+ * Remove the hover card
+ */
+function hideHoverCard() {
+    if (hoverCard) {
+        hoverCard.remove();
+        hoverCard = null;
+    }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initHighlighting);
+} else {
+    initHighlighting();
+}
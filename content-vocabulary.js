@@ -0,0 +1,233 @@
+/**
+ * Vocabulary Extraction for Lingora Chrome Extension
+ * "Trích từ vựng": lists the new words of a selected passage as a checklist and
+ * saves the ticked ones as flashcards in one batch. Runs after content.js and
+ * reuses its rendering layer (html``, render) and popup (dictionaryPopup).
+ */
+
+const VOCABULARY_EXTRACTOR_CONFIG = {
+    preselected: 10 // Words ticked by default, from the top of the ranking
+};
+
+/**
+ * Extract the vocabulary of a passage and show it as a checklist
+ */
+async function showVocabularyExtractor(passage) {
+    hideSelectionButton();
+    showLoadingPopup('Đang trích từ vựng...');
+
+    try {
+        const authCheck = await chrome.runtime.sendMessage({ action: 'checkAuth' });
+        if (!authCheck || !authCheck.isAuthenticated) {
+            showLoginPromptPopup();
+            return;
+        }
+
+        // The stop-word and frequency lists are English
+        const languagePair = await window.LINGORA_LANGUAGES.resolveLanguagePair(passage, document.documentElement.lang);
+        if (languagePair.sourceLang !== 'en') {
+            showErrorPopup('Trích từ vựng hiện chỉ hỗ trợ đoạn văn tiếng Anh.');
+            return;
+        }
+
+        const [words, studySets, defaultSet] = await Promise.all([
+            chrome.runtime.sendMessage({ action: 'extractVocabulary', text: passage }),
+            chrome.runtime.sendMessage({ action: 'getStudySets' }),
+            chrome.runtime.sendMessage({ action: 'getDefaultStudySet' })
+        ]);
+        [words, studySets, defaultSet].forEach(result => {
+            if (result && result.error) throw new Error(result.error);
+        });
+
+        if (words.length === 0) {
+            showErrorPopup('Không có từ mới nào trong đoạn đã chọn: các từ đều quá phổ biến hoặc đã có trong bộ học liệu.');
+            return;
+        }
+        if (studySets.length === 0) {
+            showErrorPopup('Bạn chưa có bộ học liệu nào. Hãy tạo bộ học liệu trước khi lưu từ.');
+            return;
+        }
+
+        renderVocabularyChecklist(words, studySets, defaultSet, languagePair);
+    } catch (error) {
+        console.error('Lingora: Vocabulary extraction failed', error);
+        showErrorPopup(error.message || 'Không thể trích từ vựng. Vui lòng thử lại.');
+    }
+}
+
+/**
+ * Checklist of extracted words with a study set picker and a batch save button
+ */
+function renderVocabularyChecklist(words, studySets, defaultSet, languagePair) {
+    // Closed while the words were being extracted
+    if (!dictionaryPopup) return;
+
+    render(dictionaryPopup, html`
+        <div class="lingora-popup-content lingora-compact-form">
+            <div class="lingora-popup-header">
+                <div class="lingora-word-info">
+                    <h3 class="lingora-mini-title">Trích từ vựng</h3>
+                    <span class="lingora-vocab-meta">${words.length} từ mới</span>
+                </div>
+                <button class="lingora-close-btn" id="vocab-close-btn" title="Đóng">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+
+            <div class="lingora-popup-body">
+                <label class="lingora-vocab-option lingora-vocab-select-all">
+                    <input type="checkbox" id="vocab-select-all" />
+                    <span>Chọn tất cả</span>
+                </label>
+                <ul class="lingora-vocab-list" id="vocab-list">
+                    ${words.map((entry, i) => html`
+                        <li class="lingora-vocab-item">
+                            <label class="lingora-vocab-option" title="${entry.sentence}">
+                                <input type="checkbox" value="${i}" ${i < VOCABULARY_EXTRACTOR_CONFIG.preselected ? 'checked' : ''} />
+                                <span class="lingora-vocab-word">${entry.word}</span>
+                                ${entry.count > 1 ? html`<span class="lingora-vocab-meta">×${entry.count}</span>` : ''}
+                                ${entry.level
+                                    ? html`<span class="lingora-level-tag level-${entry.level.charAt(0).toLowerCase()}">${entry.level}</span>`
+                                    : html`<span class="lingora-vocab-meta">${entry.rank === null ? 'ít gặp' : 'thông dụng'}</span>`}
+                            </label>
+                            <div class="lingora-vocab-status"></div>
+                        </li>
+                    `)}
+                </ul>
+
+                <div class="lingora-form-field" style="margin-top:10px">
+                    <label>BỘ HỌC LIỆU</label>
+                    <select id="vocab-set">
+                        ${studySets.map(set => html`
+                            <option value="${set.id}" ${defaultSet && set.id === defaultSet.id ? 'selected' : ''}>${set.title}</option>
+                        `)}
+                    </select>
+                </div>
+            </div>
+
+            <div class="lingora-popup-footer">
+                <div class="lingora-vocab-progress" id="vocab-progress"></div>
+                <button class="lingora-save-btn" id="vocab-save-btn"></button>
+            </div>
+        </div>
+    `);
+    positionPopup();
+
+    const popup = dictionaryPopup;
+    const list = popup.querySelector('#vocab-list');
+    const selectAll = popup.querySelector('#vocab-select-all');
+    const setSelect = popup.querySelector('#vocab-set');
+    const progress = popup.querySelector('#vocab-progress');
+    const saveBtn = popup.querySelector('#vocab-save-btn');
+    let saving = false;
+
+    // Words already saved are disabled and no longer count
+    const pendingInputs = () => Array.from(list.querySelectorAll('input:not(:disabled)'));
+
+    const updateSelection = () => {
+        const pending = pendingInputs();
+        const checked = pending.filter(input => input.checked).length;
+        selectAll.checked = pending.length > 0 && checked === pending.length;
+        selectAll.indeterminate = checked > 0 && checked < pending.length;
+        saveBtn.textContent = `Lưu ${checked} từ`;
+        saveBtn.disabled = saving || checked === 0;
+    };
+
+    const setStatus = (input, text, state) => {
+        const status = input.closest('.lingora-vocab-item').querySelector('.lingora-vocab-status');
+        status.textContent = text;
+        status.className = `lingora-vocab-status${state ? ` ${state}` : ''}`;
+    };
+
+    list.onchange = updateSelection;
+    selectAll.onchange = () => {
+        pendingInputs().forEach(input => {
+            input.checked = selectAll.checked;
+        });
+        updateSelection();
+    };
+    popup.querySelector('#vocab-close-btn').onclick = hideDictionaryPopup;
+
+    saveBtn.onclick = async () => {
+        const selected = pendingInputs().filter(input => input.checked);
+        if (selected.length === 0) return;
+
+        const studySetId = parseInt(setSelect.value);
+        const setTitle = setSelect.selectedOptions[0].textContent;
+        saving = true;
+        setSelect.disabled = true;
+        selectAll.disabled = true;
+        selected.forEach(input => setStatus(input, 'Đang chờ...', ''));
+        updateSelection();
+
+        let saved = 0;
+        let failed = 0;
+
+        // One word at a time so progress and errors show per row
+        for (const [n, input] of selected.entries()) {
+            const entry = words[parseInt(input.value)];
+            progress.textContent = `Đang lưu ${n + 1}/${selected.length}: ${entry.word}`;
+            setStatus(input, 'Đang tra cứu...', '');
+
+            try {
+                const result = await saveExtractedWord(entry, studySetId, languagePair);
+                setStatus(input, result.queued ? 'Sẽ lưu khi có mạng' : 'Đã lưu', 'saved');
+                input.checked = false;
+                input.disabled = true;
+                saved++;
+            } catch (error) {
+                console.error(`Lingora: Could not save "${entry.word}"`, error);
+                setStatus(input, error.message || 'Không thể lưu', 'error');
+                failed++;
+            }
+        }
+
+        progress.textContent = failed > 0
+            ? `Đã lưu ${saved}/${selected.length} từ vào "${setTitle}". ${failed} từ lỗi vẫn được chọn, bấm lưu để thử lại.`
+            : `Đã lưu ${saved} từ vào "${setTitle}".`;
+        saving = false;
+        setSelect.disabled = false;
+        selectAll.disabled = false;
+        updateSelection();
+    };
+
+    updateSelection();
+}
+
+/**
+ * Look up one extracted word and add it to a study set, with its passage sentence as the example
+ * @returns {Promise<Object>} addFlashcard result (may be { queued: true })
+ */
+async function saveExtractedWord(entry, studySetId, languagePair) {
+    const wordData = await chrome.runtime.sendMessage({
+        action: 'lookupWord',
+        term: entry.word,
+        sourceLang: languagePair.sourceLang,
+        targetLang: languagePair.targetLang,
+        skipHistory: true
+    });
+    if (wordData.error) throw new Error(wordData.error);
+
+    const [firstSense] = getWordSenses(wordData);
+    const meaning = wordData.meaning || wordData.vnMeaning || (firstSense && (firstSense.meaning || firstSense.vnMeaning));
+    if (!meaning) throw new Error('Không tìm thấy nghĩa');
+
+    const flashcardData = buildFlashcardData({
+        ...wordData,
+        word: wordData.word || entry.word,
+        meaning,
+        // Unpunctuated passages give one huge "sentence"; fall back to the dictionary example
+        example: entry.sentence.length <= 300 ? entry.sentence : wordData.example,
+        sourceUrl: window.location.href,
+        sourceTitle: document.title
+    });
+    if (wordData.level) {
+        flashcardData.tags = [wordData.level];
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'addFlashcard', studySetId, flashcardData });
+    if (result.error) throw new Error(result.error);
+    return result;
+}
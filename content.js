@@ -6,11 +6,253 @@
 let selectionButton = null;
 let dictionaryPopup = null;
 let selectedText = '';
+let selectedSentence = '';
+let lastLookup = null;
+let activeLookupId = null; // Lookup the popup is waiting for; cleared when cancelled
+
+// Only the top frame shows popups; other frames hand their lookups to it (one popup per tab)
+const IS_TOP_FRAME = window === window.top;
+
+// Identifies this frame in messages broadcast to every frame of the tab
+const FRAME_TOKEN = Math.random().toString(36).slice(2);
+
+// <input> types whose selection can be read through selectionStart/selectionEnd
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+
+// Longer selections are not looked up but offered for vocabulary extraction (content-vocabulary.js)
+const MAX_LOOKUP_LENGTH = 100;
+const MAX_PASSAGE_LENGTH = 5000;
+
+// A lookup still loading after this long is probably waiting for the backend to cold-start
+const SERVER_WAKING_DELAY = 4000;
+
+// Pause / site lists / trigger mode from site-settings.js (null until loaded)
+let siteSettings = null;
+
+// Shadow DOM host for every piece of UI injected into the page
+let uiHost = null;
+let uiRoot = null;
+
+// ============================================================
+// Rendering layer
+// ============================================================
+// All markup injected into the host page goes through html`` + render().
+// Interpolated values are escaped unless they are themselves html`` fragments,
+// so backend data (words, meanings, study set titles) can never inject markup.
+
+/**
+ * Markup produced by the html`` tag (trusted, already escaped)
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Arrays are joined, null/undefined/false render as nothing
+ */
+function html(strings, ...values) {
+    const toMarkup = (value) => {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(toMarkup).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    };
+
+    return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+/**
+ * Validate a URL coming from the backend or the user
+ * Only https: is accepted; data:image/ URLs only when explicitly allowed (local previews)
+ * @returns {string} The normalized URL, or '' if it is not allowed
+ */
+function safeUrl(url, { allowDataImage = false } = {}) {
+    if (!url || typeof url !== 'string') return '';
+
+    const trimmed = url.trim();
+    if (allowDataImage && /^data:image\/(png|jpe?g|gif|webp|bmp);base64,/i.test(trimmed)) {
+        return trimmed;
+    }
+
+    try {
+        const parsed = new URL(trimmed);
+        return parsed.protocol === 'https:' ? parsed.href : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Replace an element's content with markup built by html``
+ */
+function render(element, markup) {
+    if (!(markup instanceof SafeHtml)) {
+        throw new TypeError('Lingora: render() only accepts html`` markup');
+    }
+    element.innerHTML = markup.value;
+}
+
+// ============================================================
+// Shadow DOM mount point
+// ============================================================
+// The selection button, popups and toasts live in a closed shadow root so host
+// page CSS cannot restyle them and content.css cannot leak into the page.
+
+/**
+ * Get (and lazily create) the shadow root all UI is mounted in
+ */
+function getUiRoot() {
+    if (uiRoot) {
+        // Some pages rewrite <html> children; re-attach if we were removed
+        if (!uiHost.isConnected) document.documentElement.appendChild(uiHost);
+        return uiRoot;
+    }
+
+    uiHost = document.createElement('lingora-ui');
+    // Hidden until the stylesheet has loaded to avoid a flash of unstyled UI
+    uiHost.style.cssText = 'all: initial; position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; visibility: hidden;';
+    uiRoot = uiHost.attachShadow({ mode: 'closed' });
+
+    // content.css comes from the background as text (it is not web accessible), and a
+    // constructed stylesheet is not subject to the page's style-src CSP
+    chrome.runtime.sendMessage({ action: 'getContentStyles' })
+        .then(result => {
+            if (!result || result.error) throw new Error(result ? result.error : 'No styles');
+            const stylesheet = new CSSStyleSheet();
+            stylesheet.replaceSync(result.css);
+            uiRoot.adoptedStyleSheets = [stylesheet];
+        })
+        .catch(error => console.error('Lingora: Could not load styles', error))
+        .finally(() => {
+            uiHost.style.visibility = 'visible';
+        });
+
+    // Events from inside a closed root reach document retargeted to the host,
+    // so outside-click detection for our own UI runs on the shadow root itself
+    uiRoot.addEventListener('mousedown', handleClickOutside);
+
+    // Keep typing in our inputs from triggering host page keyboard shortcuts
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+        uiHost.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    document.documentElement.appendChild(uiHost);
+    return uiRoot;
+}
+
+/**
+ * Read the site settings for this page
+ */
+async function loadSiteSettings() {
+    applySiteSettings(await window.LINGORA_SITE_SETTINGS.getSettings());
+}
+
+/**
+ * Apply site settings; hides the floating button when the site was just disabled
+ */
+function applySiteSettings(settings) {
+    siteSettings = { ...window.LINGORA_SITE_SETTINGS.defaults, ...settings };
+    if (!isSiteEnabled()) {
+        hideSelectionButton();
+    }
+}
+
+/**
+ * Hostname of the page shown in the address bar, also from inside a frame
+ * Site lists apply to the whole tab, like the site toggle in the extension popup
+ */
+function getPageHostname() {
+    if (IS_TOP_FRAME) return window.location.hostname;
+
+    const origins = window.location.ancestorOrigins;
+    try {
+        return origins && origins.length > 0 ? new URL(origins[origins.length - 1]).hostname : window.location.hostname;
+    } catch (e) {
+        return window.location.hostname;
+    }
+}
+
+/**
+ * Whether the floating lookup button may appear on this page
+ * Context menu and keyboard shortcut lookups are explicit and always allowed
+ */
+function isSiteEnabled() {
+    return !!siteSettings && window.LINGORA_SITE_SETTINGS.isSiteEnabled(siteSettings, getPageHostname());
+}
+
+/**
+ * Whether a mouse event should offer a lookup under the current trigger mode
+ * @param {MouseEvent} event
+ * @param {boolean} isDoubleClick - The event is a dblclick
+ */
+function shouldTriggerLookup(event, isDoubleClick) {
+    if (!isSiteEnabled()) return false;
+
+    switch (siteSettings.triggerMode) {
+        case 'dblclick':
+            return isDoubleClick;
+        case 'modifier':
+            return window.LINGORA_SITE_SETTINGS.isModifierHeld(siteSettings, event);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Whether a selected word passes the minimum level setting
+ * Only single English words have a level; phrases and unknown words always pass
+ */
+async function meetsMinLevel(text) {
+    if (!siteSettings.minLevel || /\s/.test(text)) return true;
+
+    try {
+        const { sourceLang } = await window.LINGORA_LANGUAGES.resolveLanguagePair(text, document.documentElement.lang);
+        const result = await chrome.runtime.sendMessage({ action: 'getWordLevel', term: text, sourceLang });
+        return window.LINGORA_SITE_SETTINGS.meetsMinLevel(siteSettings, result && result.level);
+    } catch (e) {
+        // Never hide the button just because the level could not be checked
+        return true;
+    }
+}
+
+/**
+ * Whether an event (seen from the document) originated inside our UI
+ */
+function isEventFromUi(event) {
+    return !!uiHost && event.target === uiHost;
+}
 
 // Initialize content script
 function init() {
     console.log('Lingora: Content Script Initialized on', window.location.href);
 
+    // Pause, per-site lists and trigger mode; kept current while the page is open
+    loadSiteSettings();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[window.LINGORA_SITE_SETTINGS.storageKey]) {
+            applySiteSettings(changes[window.LINGORA_SITE_SETTINGS.storageKey].newValue);
+        }
+    });
+
     // Listen for text selection
     document.addEventListener('mouseup', handleTextSelection);
     document.addEventListener('dblclick', handleDoubleClick);
@@ -18,161 +260,263 @@ function init() {
     // Listen for clicks outside to hide button/popup
     document.addEventListener('mousedown', handleClickOutside);
 
-    // Sync authentication state with web app
-    syncAuthWithWebApp();
+    // Listen for context menu / keyboard shortcut requests from the background worker
+    chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+
+    // Sync authentication state with web app (top frame only)
+    if (IS_TOP_FRAME) {
+        syncAuthWithWebApp();
+    }
 }
 
 /**
- * Generate web app URL with syncToken parameter
- * Uses centralized config from config.js
+ * Open a web app page in a new tab
+ * The background signs the page in with a one-time handoff code, so no token ends up in the URL
  * @param {string} path - The path on the web app (e.g., '/study-sets', '/vocabulary')
- * @param {string} accessToken - The access token to sync
- * @returns {string} Complete URL with syncToken parameter
  */
-function generateWebAppUrl(path = '/study-sets', accessToken = null) {
-    return window.LINGORA_CONFIG.getWebAppUrlWithSync(path, accessToken);
+function openWebApp(path = '/study-sets') {
+    chrome.runtime.sendMessage({ action: 'openWebApp', path });
 }
 
 
 /**
  * Sync authentication state with the Lingora web app
+ *
+ * Content scripts share the page's localStorage, so the web app's login is read and
+ * written directly; no token ever passes through window.postMessage. This only runs
+ * on the configured web-app origin (the background checks the sender as well), so other
+ * sites and frames cannot change the extension's login. Scripts running on the web app
+ * itself can: its own localStorage is trusted like the web app.
  */
 async function syncAuthWithWebApp() {
-    const isLocalhost = window.location.hostname === 'localhost' && window.location.port === '3000';
-    const isVercel = window.location.hostname === 'lingora-web-app.vercel.app';
-    const isLingoraDomain = isLocalhost || isVercel;
+    // Only on the web app of the environment chosen on the options page
+    await window.LINGORA_CONFIG.ready;
+    const webAppOrigin = window.LINGORA_CONFIG.getWebAppOrigin();
 
-    if (!isLingoraDomain) return;
+    if (!webAppOrigin || window.location.origin !== webAppOrigin) return;
 
     console.log('Lingora: Detected web app domain, starting auth sync...');
 
-    // 1. Inject script to read/write page's localStorage
-    const script = document.createElement('script');
-    script.textContent = `
-        (function() {
-            function getAuthState() {
-                try {
-                    const accessToken = localStorage.getItem('accessToken');
-                    const authStorage = JSON.parse(localStorage.getItem('auth-storage') || '{}');
-                    return {
-                        accessToken: accessToken,
-                        user: authStorage.state ? authStorage.state.user : null
-                    };
-                } catch (e) {
-                    return null;
+    const syncWithWebApp = async () => {
+        const webAuth = readWebAppAuth();
+        try {
+            const extAuth = await chrome.runtime.sendMessage({ action: 'checkAuth' });
+
+            if (webAuth && webAuth.accessToken) {
+                // If web app is logged in but extension is not, or has different user
+                if (!extAuth.isAuthenticated || extAuth.accessToken !== webAuth.accessToken) {
+                    console.log('Lingora: Adoption of web app auth state');
+                    await chrome.runtime.sendMessage({
+                        action: 'syncAuth',
+                        accessToken: webAuth.accessToken,
+                        user: webAuth.user
+                    });
                 }
+            } else if (extAuth.isAuthenticated && (!webAuth || !webAuth.accessToken)) {
+                // Extension is logged in but web app is not -> Sync to web app
+                console.log('Lingora: Push auth state to web app');
+                writeWebAppAuth(extAuth.accessToken, extAuth.user);
             }
 
-            function setAuthState(data) {
-                if (data.accessToken) {
-                    localStorage.setItem('accessToken', data.accessToken);
-                    const authStorage = {
-                        state: {
-                            user: data.user,
-                            isAuthenticated: true,
-                            activeRole: data.user && data.user.roles && data.user.roles[0] ? data.user.roles[0].name : null,
-                            isLoading: false,
-                            error: null
-                        },
-                        version: 0
-                    };
-                    localStorage.setItem('auth-storage', JSON.stringify(authStorage));
-                    window.location.reload(); // Refresh to apply changes to React state
-                }
+            // Check if web app logged out while extension is still logged in
+            if (extAuth.isAuthenticated && webAuth && !webAuth.accessToken) {
+                console.log('Lingora: Web app logged out, syncing logout to extension');
+                await chrome.runtime.sendMessage({ action: 'syncAuth', accessToken: null });
             }
+        } catch (e) {
+            if (e.message && e.message.includes('Extension context invalidated')) {
+                console.log('Lingora: Extension updated, please refresh the page.');
+            }
+        }
+    };
 
-            // Listen for requests from content script
-            window.addEventListener('message', function(event) {
-                if (event.data.type === 'LINGORA_GET_WEB_AUTH') {
-                    window.postMessage({ type: 'LINGORA_WEB_AUTH_DATA', data: getAuthState() }, '*');
-                } else if (event.data.type === 'LINGORA_SET_WEB_AUTH') {
-                    setAuthState(event.data.data);
-                }
-            });
-
-            // Initial report
-            window.postMessage({ type: 'LINGORA_WEB_AUTH_DATA', data: getAuthState() }, '*');
-            
-            // Watch for storage changes
-            window.addEventListener('storage', function(e) {
-                if (e.key === 'accessToken' || e.key === 'auth-storage') {
-                    window.postMessage({ type: 'LINGORA_WEB_AUTH_DATA', data: getAuthState() }, '*');
-                }
-            });
-        })();
-    `;
-    (document.head || document.documentElement).appendChild(script);
-    script.remove();
+    // Initial sync, then again whenever another tab of the web app logs in or out
+    syncWithWebApp();
+    window.addEventListener('storage', (e) => {
+        if (e.storageArea === localStorage && (e.key === 'accessToken' || e.key === 'auth-storage')) {
+            syncWithWebApp();
+        }
+    });
 
-    // 2. Listen for data from injected script
+    // The web app reports a token it got from the extension as invalid (this window only)
     window.addEventListener('message', async (event) => {
-        if (event.data.type === 'LINGORA_WEB_AUTH_DATA') {
-            const webAuth = event.data.data;
-            try {
-                const extAuth = await chrome.runtime.sendMessage({ action: 'checkAuth' });
-
-                if (webAuth && webAuth.accessToken) {
-                    // If web app is logged in but extension is not, or has different user
-                    if (!extAuth.isAuthenticated || extAuth.accessToken !== webAuth.accessToken) {
-                        console.log('Lingora: Adoption of web app auth state');
-                        await chrome.runtime.sendMessage({
-                            action: 'syncAuth',
-                            accessToken: webAuth.accessToken,
-                            user: webAuth.user
-                        });
-                    }
-                } else if (extAuth.isAuthenticated && (!webAuth || !webAuth.accessToken)) {
-                    // Extension is logged in but web app is not -> Sync to web app
-                    console.log('Lingora: Push auth state to web app');
-                    window.postMessage({
-                        type: 'LINGORA_SET_WEB_AUTH',
-                        data: { accessToken: extAuth.accessToken, user: extAuth.user }
-                    }, '*');
-                }
+        if (event.source !== window || event.origin !== webAppOrigin) return;
+        if (!event.data || event.data.type !== 'LINGORA_INVALID_TOKEN') return;
 
-                // Check if web app logged out while extension is still logged in
-                if (extAuth.isAuthenticated && webAuth && !webAuth.accessToken) {
-                    console.log('Lingora: Web app logged out, syncing logout to extension');
-                    await chrome.runtime.sendMessage({ action: 'syncAuth', accessToken: null });
-                }
-            } catch (e) {
-                if (e.message && e.message.includes('Extension context invalidated')) {
-                    console.log('Lingora: Extension updated, please refresh the page.');
-                }
+        console.log('Lingora: Web app detected invalid token, logging out extension');
+        try {
+            await chrome.runtime.sendMessage({ action: 'syncAuth', accessToken: null });
+            console.log('Lingora: Extension logged out successfully');
+        } catch (e) {
+            console.error('Lingora: Failed to logout extension:', e);
+        }
+    });
+}
+
+/**
+ * Read the web app's login from its localStorage
+ * @returns {{accessToken: string|null, user: Object|null}|null} null when storage is unreadable
+ */
+function readWebAppAuth() {
+    try {
+        const accessToken = localStorage.getItem('accessToken');
+        const authStorage = JSON.parse(localStorage.getItem('auth-storage') || '{}');
+        const user = authStorage && authStorage.state ? authStorage.state.user : null;
+        return {
+            accessToken: accessToken || null,
+            user: user && typeof user === 'object' ? user : null
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Log the web app in with the extension's token, in the format its auth store persists
+ */
+function writeWebAppAuth(accessToken, user) {
+    localStorage.setItem('accessToken', accessToken);
+    const authStorage = {
+        state: {
+            user,
+            isAuthenticated: true,
+            activeRole: user && user.roles && user.roles[0] ? user.roles[0].name : null,
+            isLoading: false,
+            error: null
+        },
+        version: 0
+    };
+    localStorage.setItem('auth-storage', JSON.stringify(authStorage));
+    window.location.reload(); // Refresh to apply changes to React state
+}
+
+/**
+ * Handle requests forwarded by the background worker
+ */
+function handleBackgroundMessage(request) {
+    switch (request.action) {
+        case 'lookupSelection':
+        case 'extractSelection': {
+            // Keyboard shortcuts go to every frame; the one the user is working in answers
+            if (request.fromShortcut && !isFocusedFrame()) return;
+
+            const isPassage = request.action === 'extractSelection';
+            const selectionInfo = getSelectionInfo();
+            const text = (request.text || selectionInfo.text).trim();
+            if (!text) {
+                showErrorPopup(isPassage
+                    ? 'Vui lòng chọn một đoạn văn để trích từ vựng.'
+                    : 'Vui lòng chọn một từ hoặc cụm từ để tra cứu.');
+                return;
             }
-        } else if (event.data.type === 'LINGORA_INVALID_TOKEN') {
-            // Web app detected invalid token from extension, logout extension
-            console.log('Lingora: Web app detected invalid token, logging out extension');
-            try {
-                await chrome.runtime.sendMessage({ action: 'syncAuth', accessToken: null });
-                console.log('Lingora: Extension logged out successfully');
-            } catch (e) {
-                console.error('Lingora: Failed to logout extension:', e);
+            selectedText = text;
+            // A frame handing over its lookup sends the sentence it found
+            selectedSentence = request.sentence !== undefined ? request.sentence : selectionInfo.sentence;
+            openLookup(text, isPassage);
+            break;
+        }
+
+        case 'hideSelectionButton':
+            if (request.frameToken !== FRAME_TOKEN) {
+                hideSelectionButton();
+            }
+            break;
+
+        case 'saveLastLookup':
+            saveLastLookup();
+            break;
+    }
+}
+
+/**
+ * Whether this frame holds the keyboard focus (and not one of its child frames)
+ * With no focus anywhere the top frame answers
+ */
+function isFocusedFrame() {
+    if (!document.hasFocus()) return IS_TOP_FRAME;
+
+    const active = document.activeElement;
+    return !active || !['IFRAME', 'FRAME'].includes(active.tagName);
+}
+
+/**
+ * Open the lookup (or vocabulary extraction) popup for the selected text
+ * Frames hand the request to the top frame so a tab never shows two popups
+ */
+function openLookup(text, isPassage) {
+    hideSelectionButton();
+
+    if (!IS_TOP_FRAME) {
+        chrome.runtime.sendMessage({
+            action: 'showInTopFrame',
+            message: {
+                action: isPassage ? 'extractSelection' : 'lookupSelection',
+                text,
+                sentence: selectedSentence
             }
+        });
+        return;
+    }
+
+    if (isPassage) {
+        showVocabularyExtractor(text);
+    } else {
+        lookupWord(text);
+    }
+}
+
+/**
+ * Save the last looked-up word straight to the default study set
+ */
+async function saveLastLookup() {
+    if (!lastLookup) {
+        showErrorPopup('Chưa có từ nào được tra cứu trên trang này.');
+        return;
+    }
+
+    try {
+        const studySet = await chrome.runtime.sendMessage({ action: 'getDefaultStudySet' });
+        if (studySet && studySet.error) {
+            throw new Error(studySet.error);
         }
-    });
+        if (!studySet) {
+            showErrorPopup('Bạn chưa có bộ học liệu nào. Hãy tạo bộ học liệu trước khi lưu nhanh.');
+            return;
+        }
+
+        await saveFlashcard(studySet.id, {
+            ...lastLookup,
+            example: lastLookup.sentence || lastLookup.example
+        });
+    } catch (error) {
+        console.error('Lingora: Quick save failed', error);
+        showErrorPopup(error.message || 'Không thể lưu từ vào bộ học liệu. Vui lòng thử lại.');
+    }
 }
 
 /**
  * Handle text selection (mouse drag)
  */
 function handleTextSelection(event) {
+    // Selecting text inside our own popup is not a lookup
+    if (isEventFromUi(event)) return;
+    if (!shouldTriggerLookup(event, false)) return;
+
     // Small delay to ensure selection is complete
-    setTimeout(() => {
-        const selection = window.getSelection();
-        const text = selection.toString().trim();
+    setTimeout(async () => {
+        const { text, sentence, rect } = getSelectionInfo();
+
+        if (text.length > 0 && text.length <= MAX_PASSAGE_LENGTH) {
+            const isPassage = text.length > MAX_LOOKUP_LENGTH;
+            if (!isPassage && !(await meetsMinLevel(text))) {
+                hideSelectionButton();
+                return;
+            }
 
-        if (text.length > 0 && text.length <= 100) { // Limit to reasonable length
             console.log('Lingora: Text selected:', text);
             selectedText = text;
-            try {
-                const range = selection.getRangeAt(0);
-                const rect = range.getBoundingClientRect();
-                showSelectionButton(rect.right + window.scrollX, rect.top + window.scrollY);
-            } catch (e) {
-                console.error('Lingora: Error getting selection rect', e);
-                showSelectionButton(event.pageX, event.pageY);
-            }
+            selectedSentence = isPassage ? '' : sentence;
+            showSelectionButtonAt(rect, event, isPassage);
         } else {
             hideSelectionButton();
         }
@@ -182,27 +526,145 @@ function handleTextSelection(event) {
 /**
  * Handle double-click on a word
  */
-function handleDoubleClick(event) {
-    const selection = window.getSelection();
-    const text = selection.toString().trim();
+async function handleDoubleClick(event) {
+    if (isEventFromUi(event)) return;
+    if (!shouldTriggerLookup(event, true)) return;
+
+    const { text, sentence, rect } = getSelectionInfo();
 
     if (text.length > 0 && text.length <= 50) {
+        if (!(await meetsMinLevel(text))) return;
+
         console.log('Lingora: Double click detected:', text);
         selectedText = text;
-        try {
-            const range = selection.getRangeAt(0);
-            const rect = range.getBoundingClientRect();
-            showSelectionButton(rect.right + window.scrollX, rect.top + window.scrollY);
-        } catch (e) {
-            showSelectionButton(event.pageX, event.pageY);
+        selectedSentence = sentence;
+        showSelectionButtonAt(rect, event, false);
+    }
+}
+
+/**
+ * Whether an element is a text field whose selection getSelection() cannot see
+ */
+function isTextField(element) {
+    if (!element) return false;
+    if (element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type);
+}
+
+/**
+ * The current selection: page text, or the selected part of the focused <input>/<textarea>
+ * @returns {{text: string, sentence: string, rect: DOMRect|null}} rect is null inside text fields
+ */
+function getSelectionInfo() {
+    const field = document.activeElement;
+    if (isTextField(field)) {
+        const { value, selectionStart, selectionEnd } = field;
+        if (selectionStart === null || selectionStart === selectionEnd) {
+            return { text: '', sentence: '', rect: null };
         }
+        return {
+            text: value.slice(selectionStart, selectionEnd).trim(),
+            sentence: findSentence(value, selectionStart, selectionEnd),
+            rect: null
+        };
+    }
+
+    const selection = window.getSelection();
+    const text = selection.toString().trim();
+    if (!text || selection.rangeCount === 0) {
+        return { text, sentence: '', rect: null };
     }
+
+    const range = selection.getRangeAt(0);
+    return { text, sentence: extractSentence(range), rect: range.getBoundingClientRect() };
+}
+
+/**
+ * Show the selection button at the end of the selection, or at the mouse when
+ * the selection has no usable rect (text fields)
+ */
+function showSelectionButtonAt(rect, event, isPassage) {
+    if (rect && (rect.width > 0 || rect.height > 0)) {
+        showSelectionButton(rect.right + window.scrollX, rect.top + window.scrollY, isPassage);
+    } else {
+        showSelectionButton(event.pageX, event.pageY, isPassage);
+    }
+}
+
+/**
+ * Extract the sentence containing a selection Range
+ * Uses the text of the nearest block-level ancestor and cuts it at sentence punctuation
+ * @param {Range} range - The selection range
+ * @returns {string} The sentence, or '' if it cannot be determined
+ */
+function extractSentence(range) {
+    let block = range.commonAncestorContainer;
+    if (block.nodeType !== Node.ELEMENT_NODE) block = block.parentElement;
+    while (block && block !== document.body && window.getComputedStyle(block).display.startsWith('inline')) {
+        block = block.parentElement;
+    }
+    if (!block) return '';
+
+    // Offsets of the selection inside the block's text
+    const prefix = document.createRange();
+    prefix.setStart(block, 0);
+    prefix.setEnd(range.startContainer, range.startOffset);
+    const start = prefix.toString().length;
+    return findSentence(block.textContent, start, start + range.toString().length);
+}
+
+/**
+ * Cut the sentence around [start, end) out of a longer text
+ * @returns {string} The sentence, or '' if it is too long to be one
+ */
+function findSentence(text, start, end) {
+    // Sentence boundaries: terminal punctuation (plus closing quotes/brackets) followed by whitespace, or line breaks
+    const boundary = /[.!?…。！？]+["'”’)\]]*\s+|\n+/g;
+    let sentenceStart = 0;
+    let sentenceEnd = text.length;
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+        const matchEnd = match.index + match[0].length;
+        if (matchEnd <= start) {
+            sentenceStart = matchEnd;
+        } else if (match.index >= end) {
+            sentenceEnd = matchEnd;
+            break;
+        }
+    }
+
+    const sentence = text.slice(sentenceStart, sentenceEnd).replace(/\s+/g, ' ').trim();
+    // Very long "sentences" are usually navigation or unpunctuated blobs
+    return sentence.length <= 300 ? sentence : '';
+}
+
+/**
+ * Wrap every occurrence of a term in a sentence with <mark>
+ * @returns {SafeHtml} Escaped markup
+ */
+function highlightTerm(sentence, term) {
+    if (!term) return html`${sentence}`;
+
+    const pattern = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    return html`${sentence.split(pattern).map((part, i) => (i % 2 === 1 ? html`<mark>${part}</mark>` : part))}`;
+}
+
+/**
+ * Page context sent with each lookup for the history
+ */
+function getLookupContext() {
+    return {
+        pageUrl: window.location.href,
+        pageTitle: document.title,
+        sentence: selectedSentence
+    };
 }
 
 /**
  * Show the selection button near the cursor
+ * @param {boolean} isPassage - Offer vocabulary extraction instead of a lookup
  */
-function showSelectionButton(x, y) {
+function showSelectionButton(x, y, isPassage = false) {
     // Remove existing button if any
     hideSelectionButton();
 
@@ -210,25 +672,38 @@ function showSelectionButton(x, y) {
     selectionButton = document.createElement('div');
     selectionButton.id = 'lingora-selection-button';
     selectionButton.className = 'lingora-selection-btn';
-    selectionButton.innerHTML = `
+    render(selectionButton, isPassage ? html`
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="9" y1="6" x2="20" y2="6"></line>
+      <line x1="9" y1="12" x2="20" y2="12"></line>
+      <line x1="9" y1="18" x2="20" y2="18"></line>
+      <polyline points="3 6 4.5 7.5 7 5"></polyline>
+      <polyline points="3 12 4.5 13.5 7 11"></polyline>
+      <polyline points="3 18 4.5 19.5 7 17"></polyline>
+    </svg>
+  ` : html`
     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
       <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
     </svg>
-  `;
-    selectionButton.title = 'Tra cứu từ điển';
+  `);
+    selectionButton.title = isPassage ? 'Trích từ vựng' : 'Tra cứu từ điển';
 
-    // Position the button
-    selectionButton.style.left = `${x + 10}px`;
-    selectionButton.style.top = `${y - 40}px`;
+    // Position the button, kept inside the viewport (frames can be small)
+    const maxLeft = window.scrollX + document.documentElement.clientWidth - 44;
+    selectionButton.style.left = `${Math.max(window.scrollX + 4, Math.min(x + 10, maxLeft))}px`;
+    selectionButton.style.top = `${Math.max(window.scrollY + 4, y - 40)}px`;
 
     // Add click handler
     selectionButton.addEventListener('click', (e) => {
         e.stopPropagation();
-        lookupWord(selectedText);
+        openLookup(selectedText, isPassage);
     });
 
-    document.body.appendChild(selectionButton);
+    getUiRoot().appendChild(selectionButton);
+
+    // Only one frame of the tab shows a button at a time
+    chrome.runtime.sendMessage({ action: 'selectionButtonShown', frameToken: FRAME_TOKEN }).catch(() => { });
 }
 
 /**
@@ -243,8 +718,12 @@ function hideSelectionButton() {
 
 /**
  * Handle clicks outside the button and popup
+ * Registered on both the document and our shadow root; the document copy
+ * ignores events retargeted from the shadow root, which handles them with the real target
  */
 function handleClickOutside(event) {
+    if (event.currentTarget === document && isEventFromUi(event)) return;
+
     // Hide selection button if clicked outside
     if (selectionButton && !selectionButton.contains(event.target)) {
         hideSelectionButton();
@@ -261,6 +740,7 @@ function handleClickOutside(event) {
  * Look up a word in the dictionary
  */
 async function lookupWord(term) {
+    let requestId = null;
     try {
         // Check if chrome.runtime is available
         if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
@@ -294,45 +774,93 @@ async function lookupWord(term) {
             return;
         }
 
-        // Determine if it's a single word or phrase
-        const isPhrase = term.split(' ').length > 1;
+        // Language pair from settings, with 'auto' resolved from the selection and page
+        const { sourceLang, targetLang } = await window.LINGORA_LANGUAGES.resolveLanguagePair(term, document.documentElement.lang);
+
+        // Determine if it's a single word or phrase (by word boundaries of the source language)
+        const isPhrase = window.LINGORA_LANGUAGES.isPhrase(term, sourceLang);
+
+        // Slow answer: say the server is waking up and offer to cancel
+        requestId = `${FRAME_TOKEN}-${Date.now()}`;
+        activeLookupId = requestId;
+        const wakingTimer = setTimeout(() => showServerWakingPopup(requestId), SERVER_WAKING_DELAY);
 
         let wordData;
-        if (isPhrase) {
-            // Use translation API for phrases
-            const translation = await chrome.runtime.sendMessage({
-                action: 'translatePhrase',
-                text: term
-            });
+        try {
+            if (isPhrase) {
+                // Use translation API for phrases
+                const translation = await chrome.runtime.sendMessage({
+                    action: 'translatePhrase',
+                    text: term,
+                    sourceLang,
+                    targetLang,
+                    context: getLookupContext(),
+                    requestId
+                });
 
-            if (translation.error) {
-                throw new Error(translation.error);
-            }
+                if (translation.error) {
+                    throw new Error(translation.error);
+                }
 
-            // Convert translation to word-like format
-            wordData = {
-                word: translation.originalText,
-                meaning: translation.translatedText,
-                vnMeaning: translation.translatedText,
-                type: 'PHRASE',
-                isPhrase: true
-            };
-        } else {
-            // Use dictionary API for single words
-            wordData = await chrome.runtime.sendMessage({
-                action: 'lookupWord',
-                term: term
-            });
+                // Convert translation to word-like format
+                wordData = {
+                    word: translation.originalText,
+                    meaning: translation.translatedText,
+                    vnMeaning: translation.translatedText,
+                    type: 'PHRASE',
+                    isPhrase: true,
+                    fromCache: translation.fromCache,
+                    cachedAt: translation.cachedAt
+                };
+            } else {
+                // Use dictionary API for single words
+                wordData = await chrome.runtime.sendMessage({
+                    action: 'lookupWord',
+                    term: term,
+                    sourceLang,
+                    targetLang,
+                    context: getLookupContext(),
+                    requestId
+                });
 
-            if (wordData.error) {
-                throw new Error(wordData.error);
+                if (wordData.error) {
+                    throw new Error(wordData.error);
+                }
             }
+        } finally {
+            clearTimeout(wakingTimer);
+        }
+
+        // Cancelled, or replaced by a newer lookup
+        if (activeLookupId !== requestId) return;
+
+        // Senses grouped by part of speech; the first one fills the single-meaning fields
+        wordData.senses = getWordSenses(wordData);
+        if (wordData.senses.length > 0 && !wordData.meaning && !wordData.vnMeaning) {
+            const [first] = wordData.senses;
+            wordData.meaning = first.meaning;
+            wordData.vnMeaning = first.vnMeaning;
+            wordData.example = wordData.example || first.example;
+            wordData.type = wordData.type || first.type;
         }
 
+        // Where the word was found: used as the default example and sent with the card
+        const context = getLookupContext();
+        wordData.term = term;
+        wordData.sourceLang = sourceLang;
+        wordData.targetLang = targetLang;
+        wordData.sentence = context.sentence;
+        wordData.sourceUrl = context.pageUrl;
+        wordData.sourceTitle = context.pageTitle;
+
+        // Remember for the "save last lookup" shortcut
+        lastLookup = wordData;
+
         // Show dictionary popup with word data
         await showDictionaryPopup(wordData);
 
     } catch (error) {
+        if (requestId && activeLookupId !== requestId) return;
         console.error('Lookup error:', error);
         showErrorPopup(error.message || 'Không thể tra cứu từ này. Vui lòng thử lại.');
     }
@@ -341,23 +869,78 @@ async function lookupWord(term) {
 /**
  * Show loading popup
  */
-function showLoadingPopup() {
+function showLoadingPopup(message = 'Đang tra cứu...') {
     hideDictionaryPopup();
 
     dictionaryPopup = document.createElement('div');
     dictionaryPopup.id = 'lingora-dictionary-popup';
     dictionaryPopup.className = 'lingora-popup';
-    dictionaryPopup.innerHTML = `
+    render(dictionaryPopup, html`
     <div class="lingora-popup-content">
       <div class="lingora-loading">
         <div class="lingora-spinner"></div>
-        <p>Đang tra cứu...</p>
+        <p>${message}</p>
       </div>
     </div>
-  `;
+  `);
 
     positionPopup();
-    document.body.appendChild(dictionaryPopup);
+    getUiRoot().appendChild(dictionaryPopup);
+}
+
+/**
+ * Replace the loading spinner of a slow lookup with the "server waking up" state
+ * The free backend sleeps when idle and its first answer can take up to a minute
+ */
+function showServerWakingPopup(requestId) {
+    if (activeLookupId !== requestId || !dictionaryPopup || !dictionaryPopup.querySelector('.lingora-loading')) return;
+
+    render(dictionaryPopup, html`
+    <div class="lingora-popup-content">
+      <div class="lingora-loading">
+        <div class="lingora-spinner"></div>
+        <p><strong>Máy chủ đang khởi động...</strong></p>
+        <p class="lingora-waking-hint">Lần tra cứu đầu tiên sau một thời gian có thể mất khoảng một phút, extension sẽ tự thử lại trong lúc chờ.</p>
+        <button class="lingora-btn-close" id="lingora-cancel-lookup">Hủy</button>
+      </div>
+    </div>
+  `);
+    positionPopup();
+
+    dictionaryPopup.querySelector('#lingora-cancel-lookup').addEventListener('click', () => {
+        activeLookupId = null;
+        chrome.runtime.sendMessage({ action: 'cancelRequest', requestId }).catch(() => { });
+        hideDictionaryPopup();
+    });
+}
+
+/**
+ * playAudio message for a looked-up word or phrase
+ * The recording is used unless it is English in the other accent, then a speech voice
+ * reads the text; recordings that do not say their accent are taken as American
+ */
+function buildPronunciationMessage(wordData, audioUrl, accent, slow) {
+    const sourceLang = wordData.sourceLang || 'en';
+    const useRecording = !!audioUrl && (sourceLang !== 'en' || (getRecordingAccent(audioUrl) || 'us') === accent);
+
+    return {
+        action: 'playAudio',
+        url: useRecording ? audioUrl : undefined,
+        text: wordData.word || wordData.term,
+        lang: window.LINGORA_LANGUAGES.getSpeechLang(sourceLang, accent),
+        slow
+    };
+}
+
+/**
+ * Accent of a dictionary recording from its file path ("…/uk/word.mp3", "word_us.mp3")
+ * @returns {string|null} 'us', 'uk' or null when the path does not say
+ */
+function getRecordingAccent(audioUrl) {
+    const path = new URL(audioUrl).pathname.toLowerCase();
+    if (/(^|[^a-z])(uk|gb)([^a-z]|$)/.test(path)) return 'uk';
+    if (/(^|[^a-z])us([^a-z]|$)/.test(path)) return 'us';
+    return null;
 }
 
 /**
@@ -369,7 +952,7 @@ function showErrorPopup(message) {
     dictionaryPopup = document.createElement('div');
     dictionaryPopup.id = 'lingora-dictionary-popup';
     dictionaryPopup.className = 'lingora-popup';
-    dictionaryPopup.innerHTML = `
+    render(dictionaryPopup, html`
     <div class="lingora-popup-content">
       <div class="lingora-error">
         <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -381,10 +964,10 @@ function showErrorPopup(message) {
         <button class="lingora-btn-close">Đóng</button>
       </div>
     </div>
-  `;
+  `);
 
     positionPopup();
-    document.body.appendChild(dictionaryPopup);
+    getUiRoot().appendChild(dictionaryPopup);
 
     // Add close button handler
     dictionaryPopup.querySelector('.lingora-btn-close').addEventListener('click', hideDictionaryPopup);
@@ -399,7 +982,7 @@ function showLoginPromptPopup() {
     dictionaryPopup = document.createElement('div');
     dictionaryPopup.id = 'lingora-dictionary-popup';
     dictionaryPopup.className = 'lingora-popup';
-    dictionaryPopup.innerHTML = `
+    render(dictionaryPopup, html`
     <div class="lingora-popup-content">
       <div class="lingora-error">
         <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -414,10 +997,10 @@ function showLoginPromptPopup() {
         <button class="lingora-btn-close" style="margin-top: 8px;">Đóng</button>
       </div>
     </div>
-  `;
+  `);
 
     positionPopup();
-    document.body.appendChild(dictionaryPopup);
+    getUiRoot().appendChild(dictionaryPopup);
 
     // Add login button handler - opens extension popup
     dictionaryPopup.querySelector('.lingora-btn-login').addEventListener('click', () => {
@@ -440,67 +1023,147 @@ async function showDictionaryPopup(wordData) {
     dictionaryPopup.id = 'lingora-dictionary-popup';
     dictionaryPopup.className = 'lingora-popup';
 
-    // Build popup HTML
-    let html = `
-    <div class="lingora-popup-content">
-      <div class="lingora-popup-header">
-        <div class="lingora-word-info">
-          <h3>${wordData.word}</h3>
-          ${wordData.type && wordData.type !== 'UNKNOWN' ? `<span class="lingora-type-tag">${formatWordType(wordData.type)}</span>` : ''}
-        </div>
-        <button class="lingora-close-btn" title="Đóng">
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"></line>
-            <line x1="6" y1="6" x2="18" y2="18"></line>
-          </svg>
-        </button>
-      </div>
-      
-      <div class="lingora-popup-body">
-  `;
+    const audioUrl = safeUrl(wordData.audioUrl);
+    const imageUrl = safeUrl(wordData.imageUrl);
+
+    // Build popup body
+    const body = [];
+
+    // Offline notice when the backend was unreachable and a cached result is shown
+    if (wordData.fromCache) {
+        body.push(html`<div class="lingora-offline-note">Không kết nối được máy chủ – đang hiển thị kết quả đã lưu (${formatCachedAt(wordData.cachedAt)})</div>`);
+    }
 
     // Phonetic
     if (wordData.phonetic) {
-        html += `<div class="lingora-phonetic">${wordData.phonetic}</div>`;
+        body.push(html`<div class="lingora-phonetic">${wordData.phonetic}</div>`);
     }
 
-    // Audio
-    if (wordData.audioUrl) {
-        html += `
-      <button class="lingora-audio-btn" data-audio="${wordData.audioUrl}">
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
-          <path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path>
-        </svg>
-        Phát âm
-      </button>
-    `;
+    // Audio: the recording, or a speech voice when there is none (phrases too)
+    if (wordData.word || wordData.term) {
+        const pronunciation = await window.LINGORA_LANGUAGES.getPronunciation();
+        body.push(html`
+      <div class="lingora-audio-controls">
+        <button class="lingora-audio-btn" id="lingora-audio-play" title="${audioUrl ? 'Phát bản ghi âm' : 'Đọc bằng giọng máy'}">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+            <path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+          </svg>
+          Phát âm
+        </button>
+        <button class="lingora-audio-btn" id="lingora-audio-replay" title="Phát lại">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="1 4 1 10 7 10"></polyline>
+            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+          </svg>
+        </button>
+        <button class="lingora-audio-btn" id="lingora-audio-stop" title="Dừng">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+            <rect x="6" y="6" width="12" height="12" rx="1"></rect>
+          </svg>
+        </button>
+        ${wordData.sourceLang === 'en' ? html`
+          <select class="lingora-lang-select" id="lingora-audio-accent" title="Giọng đọc">
+            ${window.LINGORA_LANGUAGES.accents.map(accent => html`
+              <option value="${accent.value}" ${accent.value === pronunciation.accent ? 'selected' : ''}>${accent.name}</option>
+            `)}
+          </select>
+        ` : ''}
+        <label class="lingora-audio-slow" title="Phát chậm">
+          <input type="checkbox" id="lingora-audio-slow" ${pronunciation.slow ? 'checked' : ''} />
+          Chậm
+        </label>
+      </div>
+      <div class="lingora-audio-status" id="lingora-audio-status"></div>
+    `);
     }
 
-    // Meaning
-    if (wordData.meaning) {
-        html += `<div class="lingora-meaning"><strong>Nghĩa:</strong> ${wordData.meaning}</div>`;
-    }
+    const senses = wordData.senses || [];
+
+    if (senses.length > 1) {
+        // Several senses: one group per part of speech, each sense with its own example
+        body.push(html`
+      <div class="lingora-senses">
+        ${groupSensesByType(senses).map(group => html`
+          <div class="lingora-sense-group">
+            ${group.type && group.type !== 'UNKNOWN' ? html`<span class="lingora-type-tag">${formatWordType(group.type)}</span>` : ''}
+            <ol class="lingora-sense-list">
+              ${group.senses.map(sense => html`
+                <li>
+                  ${sense.meaning ? html`<div class="lingora-sense-meaning">${sense.meaning}</div>` : ''}
+                  ${sense.vnMeaning && sense.vnMeaning !== sense.meaning ? html`<div class="lingora-sense-vn">${sense.vnMeaning}</div>` : ''}
+                  ${sense.example ? html`<div class="lingora-sense-example">${sense.example}</div>` : ''}
+                </li>
+              `)}
+            </ol>
+          </div>
+        `)}
+      </div>
+    `);
+    } else {
+        // Meaning
+        if (wordData.meaning) {
+            body.push(html`<div class="lingora-meaning"><strong>Nghĩa:</strong> ${wordData.meaning}</div>`);
+        }
+
+        // Vietnamese meaning
+        if (wordData.vnMeaning && wordData.vnMeaning !== wordData.meaning) {
+            body.push(html`<div class="lingora-vn-meaning"><strong>Tiếng Việt:</strong> ${wordData.vnMeaning}</div>`);
+        }
 
-    // Vietnamese meaning
-    if (wordData.vnMeaning && wordData.vnMeaning !== wordData.meaning) {
-        html += `<div class="lingora-vn-meaning"><strong>Tiếng Việt:</strong> ${wordData.vnMeaning}</div>`;
+        // Example
+        if (wordData.example) {
+            body.push(html`<div class="lingora-example"><strong>Ví dụ:</strong> <em>${wordData.example}</em></div>`);
+        }
     }
 
-    // Example
-    if (wordData.example) {
-        html += `<div class="lingora-example"><strong>Ví dụ:</strong> <em>${wordData.example}</em></div>`;
+    // Sentence the word was selected from
+    if (wordData.sentence && wordData.sentence !== wordData.example) {
+        body.push(html`<div class="lingora-example lingora-context"><strong>Ngữ cảnh:</strong> ${highlightTerm(wordData.sentence, wordData.word)}</div>`);
     }
 
     // Image
-    if (wordData.imageUrl) {
-        html += `<img src="${wordData.imageUrl}" alt="${wordData.word}" class="lingora-image" />`;
+    if (imageUrl) {
+        body.push(html`<img src="${imageUrl}" alt="${wordData.word}" class="lingora-image" />`);
     }
 
-    const authCheck = await chrome.runtime.sendMessage({ action: 'checkAuth' });
-    const webAppUrl = generateWebAppUrl('/study-sets', authCheck.accessToken);
+    const webAppUrl = window.LINGORA_CONFIG.getWebAppUrl('/study-sets');
+
+    // Quick language switcher; 'auto' shows which language was detected
+    const languagePair = await window.LINGORA_LANGUAGES.getLanguagePair();
+    const languageSwitch = wordData.term ? html`
+      <div class="lingora-lang-switch">
+        <select class="lingora-lang-select" id="lingora-source-lang" title="Ngôn ngữ nguồn">
+          ${renderLanguageOptions(languagePair.sourceLang, wordData.sourceLang)}
+        </select>
+        <span>→</span>
+        <select class="lingora-lang-select" id="lingora-target-lang" title="Ngôn ngữ đích">
+          ${renderLanguageOptions(wordData.targetLang)}
+        </select>
+      </div>
+    ` : '';
 
-    html += `
+    render(dictionaryPopup, html`
+    <div class="lingora-popup-content">
+      <div class="lingora-popup-header">
+        <div class="lingora-word-info">
+          <h3>${wordData.word}</h3>
+          ${wordData.type && wordData.type !== 'UNKNOWN' && senses.length <= 1 ? html`<span class="lingora-type-tag">${formatWordType(wordData.type)}</span>` : ''}
+          ${wordData.level ? html`<span class="lingora-level-tag level-${wordData.level.charAt(0).toLowerCase()}" title="Trình độ CEFR (ước lượng)">${wordData.level}</span>` : ''}
+        </div>
+        <div class="lingora-header-actions">
+          ${languageSwitch}
+          <button class="lingora-close-btn" title="Đóng">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+      </div>
+      
+      <div class="lingora-popup-body">
+        ${body}
       </div>
       
       <div class="lingora-popup-footer" style="flex-direction: column; gap: 8px;">
@@ -515,28 +1178,52 @@ async function showDictionaryPopup(wordData) {
         <a href="${webAppUrl}" target="_blank" class="lingora-webapp-link">Mở trang bộ học liệu</a>
       </div>
     </div>
-  `;
-
-    dictionaryPopup.innerHTML = html;
+  `);
     positionPopup();
-    document.body.appendChild(dictionaryPopup);
+    getUiRoot().appendChild(dictionaryPopup);
 
     // Add event listeners
     dictionaryPopup.querySelector('.lingora-close-btn').addEventListener('click', hideDictionaryPopup);
 
-    // Audio button
-    const audioBtn = dictionaryPopup.querySelector('.lingora-audio-btn');
-    if (audioBtn) {
-        audioBtn.addEventListener('click', async () => {
+    // Web app link: opened by the background so it can carry a handoff code
+    dictionaryPopup.querySelector('.lingora-webapp-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        openWebApp('/study-sets');
+    });
+
+    // Audio controls
+    const audioPlayBtn = dictionaryPopup.querySelector('#lingora-audio-play');
+    if (audioPlayBtn) {
+        const audioStatus = dictionaryPopup.querySelector('#lingora-audio-status');
+        const accentSelect = dictionaryPopup.querySelector('#lingora-audio-accent');
+        const slowToggle = dictionaryPopup.querySelector('#lingora-audio-slow');
+
+        // Use background script to play audio (bypasses CSP on sites like Facebook)
+        const sendAudioMessage = async (message) => {
+            audioStatus.textContent = '';
             try {
-                // Use background script to play audio (bypasses CSP on sites like Facebook)
-                chrome.runtime.sendMessage({
-                    action: 'playAudio',
-                    url: audioBtn.dataset.audio
-                });
+                const result = await chrome.runtime.sendMessage(message);
+                if (result && result.error) throw new Error(result.error);
             } catch (e) {
                 console.error('Lingora: Audio playback failed', e);
+                audioStatus.textContent = e.message || 'Không phát được âm thanh';
             }
+        };
+        const play = () => sendAudioMessage(buildPronunciationMessage(
+            wordData, audioUrl, accentSelect ? accentSelect.value : 'us', slowToggle.checked
+        ));
+
+        audioPlayBtn.addEventListener('click', play);
+        dictionaryPopup.querySelector('#lingora-audio-replay').addEventListener('click', () => sendAudioMessage({ action: 'replayAudio' }));
+        dictionaryPopup.querySelector('#lingora-audio-stop').addEventListener('click', () => sendAudioMessage({ action: 'stopAudio' }));
+        if (accentSelect) {
+            accentSelect.addEventListener('change', async () => {
+                await window.LINGORA_LANGUAGES.setPronunciation({ accent: accentSelect.value });
+                play();
+            });
+        }
+        slowToggle.addEventListener('change', () => {
+            window.LINGORA_LANGUAGES.setPronunciation({ slow: slowToggle.checked });
         });
     }
 
@@ -544,6 +1231,36 @@ async function showDictionaryPopup(wordData) {
     dictionaryPopup.querySelector('#lingora-save-flashcard').addEventListener('click', () => {
         showEditFlashcardDialog(wordData);
     });
+
+    // Language switcher: remember the choice and look the term up again
+    dictionaryPopup.querySelectorAll('.lingora-lang-select').forEach(select => {
+        select.addEventListener('change', async () => {
+            await window.LINGORA_LANGUAGES.setLanguagePair({
+                sourceLang: dictionaryPopup.querySelector('#lingora-source-lang').value,
+                targetLang: dictionaryPopup.querySelector('#lingora-target-lang').value
+            });
+            lookupWord(wordData.term);
+        });
+    });
+}
+
+/**
+ * Build <option>s for a language picker
+ * @param {string} selected - Selected code ('auto' for detection)
+ * @param {string} [detected] - Detected source language; adds the "auto" option when given
+ */
+function renderLanguageOptions(selected, detected) {
+    const languages = window.LINGORA_LANGUAGES;
+    const options = languages.languages.map(lang => html`
+      <option value="${lang.code}" ${lang.code === selected ? 'selected' : ''}>${lang.name}</option>
+    `);
+
+    if (detected) {
+        options.unshift(html`
+          <option value="auto" ${selected === 'auto' ? 'selected' : ''}>Tự động (${languages.getLanguageName(detected)})</option>
+        `);
+    }
+    return options;
 }
 
 /**
@@ -577,43 +1294,44 @@ function hideDictionaryPopup() {
  * Show integrated edit & save flashcard view (Premium Redesign)
  */
 async function showEditFlashcardDialog(wordData) {
-    const originalContent = dictionaryPopup.innerHTML;
-
     // Loading State
-    dictionaryPopup.innerHTML = `
+    render(dictionaryPopup, html`
         <div class="lingora-popup-content">
             <div class="lingora-popup-header"><h3>Đang chuẩn bị...</h3></div>
             <div class="lingora-popup-body"><div class="lingora-loading"><div class="lingora-spinner"></div></div></div>
         </div>
-    `;
+    `);
 
     try {
         const studySets = await chrome.runtime.sendMessage({ action: 'getStudySets' });
         if (studySets.error) throw new Error(studySets.error);
 
+        const senses = wordData.senses || [];
+
         let selectedSetId = studySets.length > 0 ? studySets[0].id : null;
         let selectedSetName = studySets.length > 0 ? studySets[0].title : 'Chọn bộ...';
 
+        const initialImageUrl = safeUrl(wordData.imageUrl);
+        // With a sense picker, start from the sense that is ticked (the first) so the back matches it
+        const initialBack = senses.length > 1
+            ? formatSensesForCard([senses[0]])
+            : wordData.meaning || wordData.vnMeaning || '';
+
         const renderDropdownList = (sets, filter = '') => {
             const filtered = sets.filter(s => s.title.toLowerCase().includes(filter.toLowerCase()));
-            let html = `
+            return html`
                 <div class="lingora-dropdown-item new-set-option" id="dropdown-create-new">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line>
                     </svg>
                     Tạo bộ học liệu mới
                 </div>
+                ${filtered.map(set => html`<div class="lingora-dropdown-item" data-id="${set.id}">${set.title}</div>`)}
+                ${filtered.length === 0 && filter ? html`<div class="lingora-dropdown-no-results">Không tìm thấy kết quả</div>` : ''}
             `;
-            filtered.forEach(set => {
-                html += `<div class="lingora-dropdown-item" data-id="${set.id}">${set.title}</div>`;
-            });
-            if (filtered.length === 0 && filter) {
-                html += `<div class="lingora-dropdown-no-results">Không tìm thấy kết quả</div>`;
-            }
-            return html;
         };
 
-        dictionaryPopup.innerHTML = `
+        render(dictionaryPopup, html`
             <div class="lingora-popup-content lingora-compact-form">
                 <div class="lingora-popup-header">
                     <div class="lingora-word-info">
@@ -630,21 +1348,42 @@ async function showEditFlashcardDialog(wordData) {
                     <div class="lingora-form-field">
                         <label>Mặt trước</label>
                         <input type="text" id="edit-front" value="${wordData.word}" />
+                        <div class="lingora-duplicate-note" id="duplicate-note" style="display:none"></div>
                     </div>
 
+                    ${senses.length > 1 ? html`
+                    <div class="lingora-form-field">
+                        <label>Nghĩa đưa vào thẻ</label>
+                        <div class="lingora-sense-picker" id="sense-picker">
+                            ${groupSensesByType(senses).map(group => html`
+                                <div class="lingora-sense-picker-group">
+                                    ${group.type && group.type !== 'UNKNOWN' ? html`<span class="lingora-type-tag">${formatWordType(group.type)}</span>` : ''}
+                                    ${group.senses.map(sense => html`
+                                        <label class="lingora-sense-option">
+                                            <input type="checkbox" value="${sense.index}" ${sense.index === 0 ? 'checked' : ''} />
+                                            <span>${sense.meaning || sense.vnMeaning}</span>
+                                        </label>
+                                    `)}
+                                </div>
+                            `)}
+                        </div>
+                    </div>
+                    ` : ''}
+
                     <div class="lingora-form-field">
                         <label>Mặt sau (Nghĩa)</label>
-                        <textarea id="edit-back" rows="2">${wordData.meaning || wordData.vnMeaning || ''}</textarea>
+                        <textarea id="edit-back" rows="2">${initialBack}</textarea>
                     </div>
 
                     <div class="lingora-form-field">
                         <label>Ví dụ</label>
-                        <textarea id="edit-example" rows="2">${wordData.example || ''}</textarea>
+                        <textarea id="edit-example" rows="2">${wordData.sentence || wordData.example || ''}</textarea>
+                        <div class="lingora-example-preview" id="edit-example-preview"></div>
                     </div>
 
                     <div class="lingora-image-upload-compact">
                         <div class="lingora-preview-box">
-                            ${wordData.imageUrl ? `<img src="${wordData.imageUrl}" id="edit-preview" />` : '<div class="no-img">No Img</div>'}
+                            ${initialImageUrl ? html`<img src="${initialImageUrl}" id="edit-preview" />` : html`<div class="no-img">No Img</div>`}
                         </div>
                         <div class="lingora-upload-actions">
                             <label>HÌNH ẢNH</label>
@@ -656,7 +1395,7 @@ async function showEditFlashcardDialog(wordData) {
                                         <polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line>
                                     </svg>
                                 </button>
-                                <input type="text" id="edit-image-url" value="${wordData.imageUrl || ''}" placeholder="Dán link ảnh..." />
+                                <input type="text" id="edit-image-url" value="${initialImageUrl}" placeholder="Dán link ảnh..." />
                             </div>
                         </div>
                     </div>
@@ -696,7 +1435,7 @@ async function showEditFlashcardDialog(wordData) {
                     <button class="lingora-save-btn" id="final-save-btn" style="width: auto;">Lưu flashcard</button>
                 </div>
             </div>
-        `;
+        `);
 
         // Logic Elements
         const fileInput = dictionaryPopup.querySelector('#edit-image-file');
@@ -711,6 +1450,90 @@ async function showEditFlashcardDialog(wordData) {
         const finalSaveBtn = dictionaryPopup.querySelector('#final-save-btn');
         const newSetForm = dictionaryPopup.querySelector('#new-set-form');
         const mainFooter = dictionaryPopup.querySelector('#main-actions-footer');
+        const frontInput = dictionaryPopup.querySelector('#edit-front');
+        const duplicateNote = dictionaryPopup.querySelector('#duplicate-note');
+        const exampleInput = dictionaryPopup.querySelector('#edit-example');
+        const examplePreview = dictionaryPopup.querySelector('#edit-example-preview');
+
+        // Example preview with the front text highlighted
+        const renderExamplePreview = () => {
+            const example = exampleInput.value.trim();
+            render(examplePreview, example ? highlightTerm(example, frontInput.value.trim()) : html``);
+        };
+        frontInput.oninput = renderExamplePreview;
+        renderExamplePreview();
+
+        // Sense picker: the ticked senses make up the back of the card
+        let exampleEdited = false;
+        exampleInput.oninput = () => {
+            exampleEdited = true;
+            renderExamplePreview();
+        };
+
+        const sensePicker = dictionaryPopup.querySelector('#sense-picker');
+        if (sensePicker) {
+            sensePicker.onchange = () => {
+                const selected = Array.from(sensePicker.querySelectorAll('input:checked'))
+                    .map(input => senses[parseInt(input.value)]);
+                if (selected.length === 0) return;
+
+                dictionaryPopup.querySelector('#edit-back').value = formatSensesForCard(selected);
+
+                // The page sentence wins; otherwise follow the example of the first ticked sense
+                const senseExample = selected.find(sense => sense.example);
+                if (!wordData.sentence && !exampleEdited) {
+                    exampleInput.value = senseExample ? senseExample.example : '';
+                    renderExamplePreview();
+                }
+            };
+        }
+
+        // Duplicate Detection
+        let duplicates = [];
+
+        const renderDuplicateNote = () => {
+            if (duplicates.length === 0) {
+                duplicateNote.style.display = 'none';
+                finalSaveBtn.textContent = 'Lưu flashcard';
+                return;
+            }
+
+            const isInSelectedSet = (card) => String(card.studySetId) === String(selectedSetId);
+            const target = duplicates.find(isInSelectedSet) || duplicates[0];
+
+            render(duplicateNote, html`
+                <div class="lingora-duplicate-text">
+                    ${isInSelectedSet(target) ? 'Đã có trong bộ đang chọn:' : 'Đã có trong bộ học liệu khác:'}
+                    ${duplicates.map(card => html`<span class="lingora-duplicate-set${isInSelectedSet(card) ? ' current' : ''}">${card.studySetTitle}</span>`)}
+                </div>
+                <div class="lingora-duplicate-actions">
+                    <button class="lingora-link-btn" id="duplicate-open">Mở thẻ đã có</button>
+                    <button class="lingora-link-btn" id="duplicate-update">Cập nhật thẻ đã có</button>
+                </div>
+            `);
+            duplicateNote.style.display = 'block';
+            finalSaveBtn.textContent = isInSelectedSet(target) ? 'Vẫn lưu' : 'Lưu flashcard';
+
+            duplicateNote.querySelector('#duplicate-open').onclick = () => openExistingFlashcard(target);
+            duplicateNote.querySelector('#duplicate-update').onclick = () => processSave(target.studySetId, {}, target);
+        };
+
+        const checkDuplicates = async () => {
+            const frontText = frontInput.value.trim();
+            try {
+                const result = await chrome.runtime.sendMessage({ action: 'findDuplicates', frontText });
+                // Ignore answers for text the user has since edited
+                if (frontText !== frontInput.value.trim()) return;
+                duplicates = Array.isArray(result) ? result : [];
+            } catch (e) {
+                console.error('Lingora: Duplicate check failed', e);
+                duplicates = [];
+            }
+            renderDuplicateNote();
+        };
+
+        frontInput.onchange = checkDuplicates;
+        checkDuplicates();
 
         // Dropdown Logic
         trigger.onclick = (e) => {
@@ -718,7 +1541,7 @@ async function showEditFlashcardDialog(wordData) {
             const isOpen = dropdown.classList.toggle('active');
             if (isOpen) {
                 searchInput.value = '';
-                listContainer.innerHTML = renderDropdownList(studySets);
+                render(listContainer, renderDropdownList(studySets));
                 attachItemListeners();
                 searchInput.focus();
             }
@@ -739,17 +1562,18 @@ async function showEditFlashcardDialog(wordData) {
                     selectedSetName = item.textContent;
                     trigger.querySelector('span').textContent = selectedSetName;
                     dropdown.classList.remove('active');
+                    renderDuplicateNote();
                 };
             });
         };
 
         searchInput.oninput = (e) => {
-            listContainer.innerHTML = renderDropdownList(studySets, e.target.value);
+            render(listContainer, renderDropdownList(studySets, e.target.value));
             attachItemListeners();
         };
 
         // Close dropdown when clicking elsewhere
-        document.addEventListener('click', (e) => {
+        getUiRoot().addEventListener('click', (e) => {
             if (dropdown && !dropdown.contains(e.target)) {
                 dropdown.classList.remove('active');
             }
@@ -763,42 +1587,46 @@ async function showEditFlashcardDialog(wordData) {
                 urlInput.value = '';
                 const reader = new FileReader();
                 reader.onload = (re) => {
-                    previewBox.innerHTML = `<img src="${re.target.result}" />`;
+                    const previewUrl = safeUrl(re.target.result, { allowDataImage: true });
+                    render(previewBox, previewUrl ? html`<img src="${previewUrl}" />` : html`<div class="no-img">No Img</div>`);
                 };
                 reader.readAsDataURL(file);
             }
         };
 
         urlInput.oninput = (e) => {
-            const url = e.target.value.trim();
-            if (url) {
+            const url = safeUrl(e.target.value);
+            if (e.target.value.trim()) {
                 fileInput.value = '';
-                previewBox.innerHTML = `<img src="${url}" />`;
+            }
+            if (url) {
+                render(previewBox, html`<img src="${url}" />`);
             } else {
-                previewBox.innerHTML = '<div class="no-img">No Img</div>';
+                render(previewBox, html`<div class="no-img">No Img</div>`);
             }
         };
 
         // Footer Actions
         dictionaryPopup.querySelector('#edit-cancel-btn').onclick = hideDictionaryPopup;
-        dictionaryPopup.querySelector('#back-to-dict').onclick = () => {
-            dictionaryPopup.innerHTML = originalContent;
-            dictionaryPopup.querySelector('.lingora-close-btn').onclick = hideDictionaryPopup;
-            dictionaryPopup.querySelector('#lingora-save-flashcard').onclick = () => showEditFlashcardDialog(wordData);
-            const audioBtn = dictionaryPopup.querySelector('.lingora-audio-btn');
-            if (audioBtn) audioBtn.onclick = () => chrome.runtime.sendMessage({ action: 'playAudio', url: audioBtn.dataset.audio });
-        };
+        dictionaryPopup.querySelector('#back-to-dict').onclick = () => showDictionaryPopup(wordData);
 
         dictionaryPopup.querySelector('#cancel-new-set').onclick = () => {
             newSetForm.style.display = 'none';
             mainFooter.style.display = 'flex';
         };
 
-        const processSave = async (setId) => {
+        /**
+         * Save the form as a new card, or into existingCard when updating a duplicate
+         */
+        const processSave = async (setId, dependsOn = {}, existingCard = null) => {
             finalSaveBtn.disabled = true;
             finalSaveBtn.textContent = '...';
             try {
-                let finalImageUrl = urlInput.value.trim();
+                let finalImageUrl = safeUrl(urlInput.value);
+                if (urlInput.value.trim() && !finalImageUrl) {
+                    throw new Error('Link ảnh phải là địa chỉ https:// hợp lệ');
+                }
+                const pendingDeps = { ...dependsOn };
                 if (fileInput.files?.[0]) {
                     const file = fileInput.files[0];
                     const arrayBuffer = await file.arrayBuffer();
@@ -809,16 +1637,29 @@ async function showEditFlashcardDialog(wordData) {
                         fileType: file.type
                     });
                     if (upRes.error) throw new Error(upRes.error);
-                    finalImageUrl = upRes.imageUrl;
+                    if (upRes.queued) {
+                        // Upload is waiting in the outbox, the card picks up its URL on replay
+                        pendingDeps.imageUrl = upRes.outboxId;
+                        finalImageUrl = '';
+                    } else {
+                        finalImageUrl = upRes.imageUrl;
+                    }
                 }
                 const finalData = {
                     ...wordData,
-                    word: dictionaryPopup.querySelector('#edit-front').value.trim(),
+                    word: frontInput.value.trim(),
                     meaning: dictionaryPopup.querySelector('#edit-back').value.trim(),
-                    example: dictionaryPopup.querySelector('#edit-example').value.trim(),
+                    example: exampleInput.value.trim(),
                     imageUrl: finalImageUrl
                 };
-                await saveFlashcard(setId, finalData);
+                if (existingCard) {
+                    if (pendingDeps.imageUrl) {
+                        throw new Error('Không tải được ảnh lên lúc này, chưa thể cập nhật thẻ.');
+                    }
+                    await updateExistingFlashcard(existingCard, finalData);
+                } else {
+                    await saveFlashcard(setId, finalData, pendingDeps);
+                }
             } catch (err) {
                 alert('Lỗi: ' + err.message);
                 finalSaveBtn.disabled = false;
@@ -839,7 +1680,11 @@ async function showEditFlashcardDialog(wordData) {
             try {
                 const newSet = await chrome.runtime.sendMessage({ action: 'createStudySet', title, visibility: 'PRIVATE' });
                 if (newSet.error) throw new Error(newSet.error);
-                await processSave(newSet.id);
+                if (newSet.queued) {
+                    await processSave(null, { studySetId: newSet.outboxId });
+                } else {
+                    await processSave(newSet.id);
+                }
             } catch (err) {
                 alert(err.message);
                 btn.disabled = false;
@@ -853,23 +1698,69 @@ async function showEditFlashcardDialog(wordData) {
 }
 
 
+/**
+ * Build the flashcard payload sent to the backend from word data
+ */
+function buildFlashcardData(wordData) {
+    return {
+        frontText: wordData.word,
+        backText: wordData.meaning || wordData.vnMeaning || '',
+        example: wordData.example || undefined,
+        audioUrl: safeUrl(wordData.audioUrl) || undefined,
+        imageUrl: safeUrl(wordData.imageUrl) || undefined,
+        sourceUrl: wordData.sourceUrl || undefined,
+        sourceTitle: wordData.sourceTitle || undefined
+    };
+}
+
+/**
+ * Overwrite an existing (duplicate) flashcard with the edited data
+ */
+async function updateExistingFlashcard(card, wordData) {
+    const result = await chrome.runtime.sendMessage({
+        action: 'updateFlashcard',
+        studySetId: card.studySetId,
+        flashcardId: card.flashcardId,
+        flashcardData: buildFlashcardData(wordData)
+    });
+
+    if (result && result.error) {
+        throw new Error(result.error);
+    }
+
+    showSuccessMessage(`Đã cập nhật thẻ trong "${card.studySetTitle}"`);
+
+    setTimeout(() => {
+        hideDictionaryPopup();
+        hideSelectionButton();
+    }, 1500);
+}
+
+/**
+ * Open the study set holding an existing flashcard in the web app
+ */
+function openExistingFlashcard(card) {
+    openWebApp(`${window.LINGORA_CONFIG.webApp.paths.studySets}/${card.studySetId}`);
+}
+
 /**
  * Save flashcard to study set
+ * @param {Object} dependsOn - Outbox ids of a queued study set / image upload this card needs
+ * @throws {Error} With the background's message when the save fails
  */
-async function saveFlashcard(studySetId, wordData) {
+async function saveFlashcard(studySetId, wordData, dependsOn = {}) {
     try {
-        const flashcardData = {
-            frontText: wordData.word,
-            backText: wordData.meaning || wordData.vnMeaning || '',
-            example: wordData.example || undefined,
-            audioUrl: wordData.audioUrl || undefined,
-            imageUrl: wordData.imageUrl || undefined
-        };
+        const flashcardData = buildFlashcardData(wordData);
+        // The CEFR level goes along as a tag so cards can be filtered by level
+        if (wordData.level) {
+            flashcardData.tags = [wordData.level];
+        }
 
         const result = await chrome.runtime.sendMessage({
             action: 'addFlashcard',
             studySetId: studySetId,
-            flashcardData: flashcardData
+            flashcardData: flashcardData,
+            dependsOn: dependsOn
         });
 
         if (result.error) {
@@ -877,7 +1768,11 @@ async function saveFlashcard(studySetId, wordData) {
         }
 
         // Show success message
-        showSuccessMessage('Đã lưu từ vào bộ học liệu!');
+        if (result.queued) {
+            showSuccessMessage('Chưa kết nối được máy chủ. Flashcard sẽ được lưu tự động khi có mạng.');
+        } else {
+            showSuccessMessage('Đã lưu từ vào bộ học liệu!');
+        }
 
         // Hide popup after a delay
         setTimeout(() => {
@@ -886,8 +1781,9 @@ async function saveFlashcard(studySetId, wordData) {
         }, 1500);
 
     } catch (error) {
+        // The caller shows the message: a timed-out save says to check before retrying
         console.error('Error saving flashcard:', error);
-        alert('Không thể lưu từ vào bộ học liệu. Vui lòng thử lại.');
+        throw error;
     }
 }
 
@@ -897,15 +1793,15 @@ async function saveFlashcard(studySetId, wordData) {
 function showSuccessMessage(message) {
     const successMsg = document.createElement('div');
     successMsg.className = 'lingora-success-message';
-    successMsg.innerHTML = `
+    render(successMsg, html`
     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
       <polyline points="22 4 12 14.01 9 11.01"></polyline>
     </svg>
     <span>${message}</span>
-  `;
+  `);
 
-    document.body.appendChild(successMsg);
+    getUiRoot().appendChild(successMsg);
 
     // Remove after animation
     setTimeout(() => {
@@ -913,6 +1809,82 @@ function showSuccessMessage(message) {
     }, 3000);
 }
 
+/**
+ * Format the time a cached lookup was stored
+ */
+function formatCachedAt(timestamp) {
+    if (!timestamp) return 'ngoại tuyến';
+    return new Date(timestamp).toLocaleString('vi-VN');
+}
+
+/**
+ * Normalize the senses of a dictionary result
+ * Accepts `senses: [{type, meaning, vnMeaning, example}]`, dictionary-style
+ * `meanings: [{partOfSpeech, definitions: [{definition, example}]}]`, or the single
+ * meaning/vnMeaning/example/type fields
+ * @returns {Array<{type: string, meaning: string, vnMeaning: string, example: string}>}
+ */
+function getWordSenses(wordData) {
+    let senses;
+
+    if (Array.isArray(wordData.senses)) {
+        senses = wordData.senses.map(sense => ({
+            type: sense.type || (sense.partOfSpeech || '').toUpperCase() || wordData.type,
+            meaning: sense.meaning || sense.definition || '',
+            vnMeaning: sense.vnMeaning || '',
+            example: sense.example || ''
+        }));
+    } else if (Array.isArray(wordData.meanings)) {
+        senses = wordData.meanings.flatMap(group => (group.definitions || []).map(definition => ({
+            type: (group.partOfSpeech || '').toUpperCase() || wordData.type,
+            meaning: definition.definition || '',
+            vnMeaning: definition.vnMeaning || '',
+            example: definition.example || ''
+        })));
+    } else {
+        senses = [{
+            type: wordData.type,
+            meaning: wordData.meaning || '',
+            vnMeaning: wordData.vnMeaning || '',
+            example: wordData.example || ''
+        }];
+    }
+
+    return senses.filter(sense => sense.meaning || sense.vnMeaning);
+}
+
+/**
+ * Group senses by part of speech, keeping their order and original index
+ * @returns {Array<{type: string, senses: Array}>}
+ */
+function groupSensesByType(senses) {
+    const groups = [];
+    senses.forEach((sense, index) => {
+        let group = groups.find(g => g.type === sense.type);
+        if (!group) {
+            group = { type: sense.type, senses: [] };
+            groups.push(group);
+        }
+        group.senses.push({ ...sense, index });
+    });
+    return groups;
+}
+
+/**
+ * Back text for the ticked senses: the meaning alone for one sense,
+ * one "Part of speech: meaning" line per sense otherwise
+ */
+function formatSensesForCard(senses) {
+    if (senses.length === 1) {
+        return senses[0].meaning || senses[0].vnMeaning;
+    }
+
+    return senses.map(sense => {
+        const meaning = sense.meaning || sense.vnMeaning;
+        return sense.type && sense.type !== 'UNKNOWN' ? `${formatWordType(sense.type)}: ${meaning}` : meaning;
+    }).join('\n');
+}
+
 /**
  * Format word type for display
  */
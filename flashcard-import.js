@@ -0,0 +1,211 @@
+/**
+ * Flashcard Import for Lingora Chrome Extension
+ * Validates cards parsed from a CSV/TSV file in the popup and creates them
+ * in a study set, with a dry run that reports what would happen. The import
+ * runs as a job stored after every batch, so a service worker stopped halfway
+ * continues where it left off when it starts again.
+ */
+
+const IMPORT_CONFIG = {
+    maxCards: 1000,
+    maxFrontLength: 255,
+    storageKey: 'importJob',
+    alarmName: 'lingora-import-resume',
+    resumePeriod: 1, // minutes between checks for an interrupted import
+    batchSize: 10 // Cards created between two saves of the job
+};
+
+// The job run in progress in this worker, shared by every caller
+let importRun = null;
+
+/**
+ * Check one imported card
+ * @returns {string|null} Why the card cannot be imported, or null
+ */
+function validateImportCard(card) {
+    if (!card.frontText) return 'Thiếu mặt trước';
+    if (!card.backText) return 'Thiếu mặt sau';
+    if (card.frontText.length > IMPORT_CONFIG.maxFrontLength) return 'Mặt trước quá dài';
+
+    if (card.imageUrl) {
+        try {
+            if (new URL(card.imageUrl).protocol !== 'https:') return 'Link ảnh phải dùng https://';
+        } catch (e) {
+            return 'Link ảnh không hợp lệ';
+        }
+    }
+    return null;
+}
+
+/**
+ * Stored import job, or null when there is none
+ * @returns {Promise<{studySetId: number, rows: Array, status: string, startedAt: number, finishedAt: number|null, attempted: boolean}|null>}
+ */
+async function getImportJob() {
+    const result = await chrome.storage.local.get([IMPORT_CONFIG.storageKey]);
+    return result[IMPORT_CONFIG.storageKey] || null;
+}
+
+/**
+ * Rows without the card data, with a count per status
+ */
+function summarizeImport(rows) {
+    const counts = {};
+    rows.forEach(row => {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    });
+    return { rows: rows.map(({ card, ...row }) => row), counts };
+}
+
+/**
+ * What the popup shows of the stored job
+ * @returns {Promise<Object|null>} { status, startedAt, finishedAt, rows, counts }
+ */
+async function getImportJobSummary() {
+    const job = await getImportJob();
+    if (!job) return null;
+    return { status: job.status, startedAt: job.startedAt, finishedAt: job.finishedAt, ...summarizeImport(job.rows) };
+}
+
+/**
+ * Forget a finished job once its result has been shown
+ */
+async function clearImportJob() {
+    const job = await getImportJob();
+    if (job && job.status === 'done') {
+        await chrome.storage.local.remove([IMPORT_CONFIG.storageKey]);
+    }
+    return { success: true };
+}
+
+/**
+ * Import cards into a study set
+ * Cards already in the set (or repeated earlier in the file) are skipped. A real import
+ * is stored as a job and runs in the background; the result is reported through the
+ * stored job (getImportJobSummary), not the return value
+ * @param {number} studySetId
+ * @param {Array<{frontText, backText, example, imageUrl}>} cards - Mapped rows from the file
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be created
+ * @returns {Promise<{status: string, rows: Array<{index, frontText, status, error}>, counts: Object}>}
+ *   row status is 'ready' (dry run), 'pending', 'created', 'duplicate', 'invalid' or 'failed'
+ */
+async function importFlashcards(studySetId, cards, { dryRun = false } = {}) {
+    if (!studySetId) throw new Error('Chưa chọn bộ học liệu');
+    if (!Array.isArray(cards) || cards.length === 0) throw new Error('File không có thẻ nào');
+    if (cards.length > IMPORT_CONFIG.maxCards) {
+        throw new Error(`Mỗi lần chỉ nhập được tối đa ${IMPORT_CONFIG.maxCards} thẻ`);
+    }
+
+    if (!dryRun) {
+        const current = await getImportJob();
+        if (current && current.status === 'running') {
+            throw new Error('Đang nhập một file khác, vui lòng chờ xong');
+        }
+    }
+
+    const index = await getFlashcardIndex();
+    const seen = new Set();
+
+    const rows = cards.map((raw, i) => {
+        const card = {
+            frontText: (raw.frontText || '').trim(),
+            backText: (raw.backText || '').trim(),
+            example: (raw.example || '').trim() || undefined,
+            imageUrl: (raw.imageUrl || '').trim() || undefined
+        };
+        const row = { index: i, frontText: card.frontText, card, status: dryRun ? 'ready' : 'pending', error: null };
+
+        const error = validateImportCard(card);
+        const key = normalizeTerm(card.frontText);
+        const inSet = (index.entries.get(key) || []).some(entry => String(entry.studySetId) === String(studySetId));
+
+        if (error) {
+            row.status = 'invalid';
+            row.error = error;
+        } else if (inSet || seen.has(key)) {
+            row.status = 'duplicate';
+            row.error = inSet ? 'Đã có trong bộ' : 'Lặp lại trong file';
+        }
+        seen.add(key);
+        return row;
+    });
+
+    if (dryRun) {
+        return { status: 'preview', ...summarizeImport(rows) };
+    }
+
+    const job = { studySetId, rows, status: 'running', startedAt: Date.now(), finishedAt: null, attempted: false };
+    await chrome.storage.local.set({ [IMPORT_CONFIG.storageKey]: job });
+    // Wakes a stopped worker to continue the job
+    await chrome.alarms.create(IMPORT_CONFIG.alarmName, { periodInMinutes: IMPORT_CONFIG.resumePeriod });
+    runImportJob();
+
+    return { status: job.status, ...summarizeImport(rows) };
+}
+
+/**
+ * Create the pending cards of the stored job, saving it after every batch
+ * Joins a run already in progress in this worker
+ */
+function runImportJob() {
+    if (!importRun) {
+        importRun = processImportJob()
+            .catch(error => {
+                // The alarm tries again later
+                console.error('Lingora: Import interrupted', error);
+            })
+            .finally(() => {
+                importRun = null;
+            });
+    }
+    return importRun;
+}
+
+/**
+ * Work through the stored job until every row has a result
+ */
+async function processImportJob() {
+    const job = await getImportJob();
+    if (!job || job.status !== 'running') {
+        await chrome.alarms.clear(IMPORT_CONFIG.alarmName);
+        return;
+    }
+
+    // A previous worker stopped mid-batch: cards it sent may exist already, so
+    // rows still pending that are now in the set count as created instead of being sent again
+    if (job.attempted) {
+        const index = await getFlashcardIndex({ refresh: true });
+        job.rows.forEach(row => {
+            if (row.status !== 'pending') return;
+            const entries = index.entries.get(normalizeTerm(row.card.frontText)) || [];
+            if (entries.some(entry => String(entry.studySetId) === String(job.studySetId))) {
+                row.status = 'created';
+            }
+        });
+    }
+    job.attempted = true;
+    await chrome.storage.local.set({ [IMPORT_CONFIG.storageKey]: job });
+
+    let pending = job.rows.filter(row => row.status === 'pending');
+    while (pending.length > 0) {
+        // One at a time: the backend has no bulk endpoint and free hosting throttles bursts
+        for (const row of pending.slice(0, IMPORT_CONFIG.batchSize)) {
+            try {
+                await api.addFlashcard(job.studySetId, row.card);
+                row.status = 'created';
+            } catch (error) {
+                row.status = 'failed';
+                row.error = error.message;
+            }
+        }
+        await chrome.storage.local.set({ [IMPORT_CONFIG.storageKey]: job });
+        pending = job.rows.filter(row => row.status === 'pending');
+    }
+
+    job.status = 'done';
+    job.finishedAt = Date.now();
+    await chrome.storage.local.set({ [IMPORT_CONFIG.storageKey]: job });
+    await chrome.alarms.clear(IMPORT_CONFIG.alarmName);
+    invalidateFlashcardIndex();
+}
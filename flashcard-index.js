@@ -0,0 +1,159 @@
+/**
+ * Flashcard Index for Lingora Chrome Extension
+ * Fetches the contents of the user's study sets and indexes cards by front text,
+ * so the extension can tell where a word has already been saved
+ */
+
+const FLASHCARD_INDEX_CONFIG = {
+    storageKey: 'flashcardIndex',
+    ttl: 5 * 60 * 1000 // 5 minutes
+};
+
+let flashcardIndex = null;
+let flashcardIndexBuild = null;
+// Bumped on every invalidation; a build or restore that started before it is dropped
+let flashcardIndexGeneration = 0;
+
+/**
+ * Normalize a front text so "Ubiquitous " and "ubiquitous" match
+ */
+function normalizeTerm(text) {
+    return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Fetch every study set and its flashcards and build the index
+ * @returns {Promise<{builtAt: number, entries: Map<string, Array>}>}
+ */
+async function buildFlashcardIndex() {
+    const studySets = await api.getStudySets();
+    const entries = new Map();
+
+    const contents = await Promise.all(studySets.map(async (set) => {
+        try {
+            return { set, flashcards: await api.getStudySetFlashcards(set.id) };
+        } catch (error) {
+            console.error(`Lingora: Could not load study set ${set.id}`, error);
+            return { set, flashcards: [] };
+        }
+    }));
+
+    contents.forEach(({ set, flashcards }) => {
+        flashcards.forEach(card => {
+            const key = normalizeTerm(card.frontText);
+            if (!key) return;
+            if (!entries.has(key)) entries.set(key, []);
+            entries.get(key).push({
+                flashcardId: card.id,
+                studySetId: set.id,
+                studySetTitle: set.title,
+                frontText: card.frontText,
+                backText: card.backText,
+                example: card.example,
+                imageUrl: card.imageUrl
+            });
+        });
+    });
+
+    return { builtAt: Date.now(), entries };
+}
+
+/**
+ * Restore the index persisted by a previous service worker instance
+ */
+async function loadStoredFlashcardIndex() {
+    const result = await chrome.storage.local.get([FLASHCARD_INDEX_CONFIG.storageKey]);
+    const stored = result[FLASHCARD_INDEX_CONFIG.storageKey];
+    return stored ? { builtAt: stored.builtAt, entries: new Map(stored.entries) } : null;
+}
+
+/**
+ * Get the index, rebuilding it when it is older than the TTL
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Rebuild even if the index is fresh
+ * @param {boolean} [options.allowStale] - Use any index already built, however old; only build when there is none
+ */
+async function getFlashcardIndex({ refresh = false, allowStale = false } = {}) {
+    // The service worker is stopped when idle; reuse the last index instead of refetching every set
+    if (!flashcardIndex && !refresh) {
+        const generation = flashcardIndexGeneration;
+        const stored = await loadStoredFlashcardIndex();
+        if (generation === flashcardIndexGeneration) {
+            flashcardIndex = stored;
+        }
+    }
+
+    const expired = !flashcardIndex
+        || (!allowStale && Date.now() - flashcardIndex.builtAt > FLASHCARD_INDEX_CONFIG.ttl);
+
+    if (refresh || expired) {
+        if (!flashcardIndexBuild) {
+            const generation = flashcardIndexGeneration;
+            const build = buildFlashcardIndex()
+                .then(async (index) => {
+                    // Cards changed while the sets were being fetched: this index may miss them
+                    if (generation !== flashcardIndexGeneration) {
+                        return getFlashcardIndex({ refresh: true });
+                    }
+
+                    flashcardIndex = index;
+                    await chrome.storage.local.set({
+                        [FLASHCARD_INDEX_CONFIG.storageKey]: {
+                            builtAt: index.builtAt,
+                            entries: Array.from(index.entries)
+                        }
+                    });
+                    return index;
+                })
+                .finally(() => {
+                    if (flashcardIndexBuild === build) {
+                        flashcardIndexBuild = null;
+                    }
+                });
+            flashcardIndexBuild = build;
+        }
+        return flashcardIndexBuild;
+    }
+
+    return flashcardIndex;
+}
+
+/**
+ * Forget the index after the user's cards change
+ * Call it once the write has succeeded, so no build can start in between and
+ * store the old cards again
+ */
+function invalidateFlashcardIndex() {
+    flashcardIndexGeneration += 1;
+    flashcardIndex = null;
+    flashcardIndexBuild = null;
+    chrome.storage.local.remove([FLASHCARD_INDEX_CONFIG.storageKey]);
+}
+
+/**
+ * Find existing cards with the same front text
+ * @returns {Promise<Array>} Matches with flashcardId, studySetId and studySetTitle
+ */
+async function findFlashcardDuplicates(frontText) {
+    const key = normalizeTerm(frontText);
+    if (!key) return [];
+
+    const index = await getFlashcardIndex();
+    return index.entries.get(key) || [];
+}
+
+/**
+ * List every saved term with the cards it appears on (for highlighting on pages)
+ * @returns {Promise<Array<{term: string, cards: Array}>>}
+ */
+async function getSavedTerms() {
+    const index = await getFlashcardIndex();
+    return Array.from(index.entries, ([term, cards]) => ({
+        term,
+        cards: cards.map(card => ({
+            frontText: card.frontText,
+            backText: card.backText,
+            studySetTitle: card.studySetTitle
+        }))
+    }));
+}
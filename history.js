@@ -0,0 +1,128 @@
+/**
+ * Lookup History for Lingora Chrome Extension
+ * Records every lookup with the page it was made on, so the user can
+ * browse past lookups in the popup and turn them into flashcards later
+ */
+
+const HISTORY_CONFIG = {
+    storageKey: 'lookupHistory',
+    maxEntries: 1000
+};
+
+// Serialize read-modify-write cycles on the stored history
+let historyQueue = Promise.resolve();
+
+/**
+ * Get all history entries, newest first
+ */
+async function getHistory() {
+    const result = await chrome.storage.local.get([HISTORY_CONFIG.storageKey]);
+    return result[HISTORY_CONFIG.storageKey] || [];
+}
+
+/**
+ * Run a mutation on the stored history and persist the result
+ */
+function updateHistory(mutator) {
+    const run = historyQueue.then(async () => {
+        const entries = await getHistory();
+        const value = mutator(entries);
+        await chrome.storage.local.set({ [HISTORY_CONFIG.storageKey]: entries });
+        return value;
+    });
+    historyQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Record a successful lookup
+ * @param {Object} lookup
+ * @param {string} lookup.term - Text the user looked up
+ * @param {Object} lookup.result - Dictionary or translation response
+ * @param {boolean} lookup.isPhrase - Whether the phrase translation API was used
+ * @param {Object} lookup.context - { pageUrl, pageTitle, sentence } from the content script
+ */
+function recordLookup({ term, result, isPhrase, context = {} }) {
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        term,
+        isPhrase: !!isPhrase,
+        result: isPhrase
+            ? {
+                word: result.originalText || term,
+                meaning: result.translatedText
+            }
+            : {
+                word: result.word || term,
+                meaning: result.meaning,
+                vnMeaning: result.vnMeaning,
+                type: result.type,
+                phonetic: result.phonetic,
+                example: result.example,
+                audioUrl: result.audioUrl,
+                imageUrl: result.imageUrl
+            },
+        pageUrl: context.pageUrl || '',
+        pageTitle: context.pageTitle || '',
+        sentence: context.sentence || '',
+        timestamp: Date.now()
+    };
+
+    return updateHistory(entries => {
+        entries.unshift(entry);
+        if (entries.length > HISTORY_CONFIG.maxEntries) {
+            entries.length = HISTORY_CONFIG.maxEntries;
+        }
+        return entry;
+    });
+}
+
+/**
+ * Delete history entries by id
+ */
+async function deleteHistoryEntries(ids) {
+    const removed = new Set(ids);
+    await updateHistory(entries => {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (removed.has(entries[i].id)) entries.splice(i, 1);
+        }
+    });
+    return await getHistory();
+}
+
+/**
+ * Turn selected history entries into flashcards in a study set
+ * Cards that cannot be saved right now go through the outbox
+ * @returns {Promise<{saved: number, queued: number, failed: Array}>}
+ */
+async function sendHistoryToStudySet(ids, studySetId) {
+    const selected = new Set(ids);
+    const entries = (await getHistory()).filter(entry => selected.has(entry.id));
+    const summary = { saved: 0, queued: 0, failed: [] };
+
+    for (const entry of entries) {
+        const flashcardData = {
+            frontText: entry.result.word || entry.term,
+            backText: entry.result.meaning || entry.result.vnMeaning || '',
+            example: entry.sentence || entry.result.example || undefined,
+            audioUrl: entry.result.audioUrl || undefined,
+            imageUrl: entry.result.imageUrl || undefined,
+            sourceUrl: entry.pageUrl || undefined,
+            sourceTitle: entry.pageTitle || undefined
+        };
+
+        try {
+            const result = await runOrQueue('addFlashcard', { studySetId, flashcardData });
+            if (result && result.queued) {
+                summary.queued += 1;
+            } else {
+                summary.saved += 1;
+            }
+        } catch (error) {
+            summary.failed.push({ term: entry.term, error: error.message });
+        }
+    }
+
+    invalidateFlashcardIndex();
+    return summary;
+}
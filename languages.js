@@ -0,0 +1,140 @@
+/**
+ * Language Settings for Lingora Chrome Extension
+ * Supported languages, the stored source/target pair and source language detection.
+ * Loaded by the content scripts and the popup; the service worker does not import it.
+ */
+
+const LANGUAGE_SETTINGS = {
+    storageKey: 'languagePair',
+    defaultPair: { sourceLang: 'auto', targetLang: 'vi' },
+
+    // Languages offered in the pickers, in display order
+    languages: [
+        { code: 'en', name: 'Tiếng Anh' },
+        { code: 'vi', name: 'Tiếng Việt' },
+        { code: 'ja', name: 'Tiếng Nhật' },
+        { code: 'ko', name: 'Tiếng Hàn' },
+        { code: 'zh', name: 'Tiếng Trung' },
+        { code: 'fr', name: 'Tiếng Pháp' },
+        { code: 'de', name: 'Tiếng Đức' },
+        { code: 'es', name: 'Tiếng Tây Ban Nha' },
+        { code: 'ru', name: 'Tiếng Nga' },
+        { code: 'th', name: 'Tiếng Thái' }
+    ],
+
+    // Voices used to speak each language when there is no recording; English follows the accent
+    speechLangs: {
+        en: 'en-US', vi: 'vi-VN', ja: 'ja-JP', ko: 'ko-KR', zh: 'zh-CN',
+        fr: 'fr-FR', de: 'de-DE', es: 'es-ES', ru: 'ru-RU', th: 'th-TH'
+    },
+
+    // Pronunciation preferences: English accent and slow playback
+    pronunciationStorageKey: 'pronunciation',
+    defaultPronunciation: { accent: 'us', slow: false },
+    accents: [
+        { value: 'us', name: 'US', lang: 'en-US' },
+        { value: 'uk', name: 'UK', lang: 'en-GB' }
+    ],
+
+    // Name of a language code, falling back to the code itself
+    getLanguageName: function (code) {
+        const language = this.languages.find(lang => lang.code === code);
+        return language ? language.name : code;
+    },
+
+    // Stored pair, filled with defaults
+    getLanguagePair: async function () {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return { ...this.defaultPair, ...result[this.storageKey] };
+    },
+
+    // Persist part or all of the pair
+    setLanguagePair: async function (pair) {
+        const current = await this.getLanguagePair();
+        const updated = { ...current, ...pair };
+        await chrome.storage.local.set({ [this.storageKey]: updated });
+        return updated;
+    },
+
+    // Stored pronunciation preferences, filled with defaults
+    getPronunciation: async function () {
+        const result = await chrome.storage.local.get([this.pronunciationStorageKey]);
+        return { ...this.defaultPronunciation, ...result[this.pronunciationStorageKey] };
+    },
+
+    // Persist part or all of the pronunciation preferences
+    setPronunciation: async function (pronunciation) {
+        const current = await this.getPronunciation();
+        const updated = { ...current, ...pronunciation };
+        await chrome.storage.local.set({ [this.pronunciationStorageKey]: updated });
+        return updated;
+    },
+
+    // BCP 47 tag of the voice for a language code ("en" + "uk" -> "en-GB")
+    getSpeechLang: function (code, accent = 'us') {
+        if (code === 'en') {
+            const match = this.accents.find(item => item.value === accent);
+            return match ? match.lang : this.speechLangs.en;
+        }
+        return this.speechLangs[code] || code;
+    },
+
+    /**
+     * Guess the language of a selection
+     * Non-Latin scripts identify the language on their own; Latin text falls back to the
+     * page's lang attribute (e.g. "fr-FR" -> "fr") when it is a supported language, else English
+     */
+    detectLanguage: function (text, pageLang = '') {
+        const pageCode = (pageLang || '').toLowerCase().split('-')[0];
+
+        if (/[぀-ヿ]/.test(text)) return 'ja';
+        if (/[가-힯ᄀ-ᇿ]/.test(text)) return 'ko';
+        // Han characters alone may be Japanese kanji; trust the page if it says so
+        if (/[一-鿿]/.test(text)) return pageCode === 'ja' ? 'ja' : 'zh';
+        if (/[Ѐ-ӿ]/.test(text)) return 'ru';
+        if (/[฀-๿]/.test(text)) return 'th';
+        // Letters only used in Vietnamese (ơ, ư, đ and stacked tone marks)
+        if (/[ơưđăạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/i.test(text)) return 'vi';
+
+        // Plain Latin text on a Vietnamese page is almost always English, so 'vi' is not trusted here
+        const latinLanguages = ['en', 'fr', 'de', 'es'];
+        return latinLanguages.includes(pageCode) ? pageCode : 'en';
+    },
+
+    /**
+     * Whether a selection is a phrase (translated) rather than a single word (looked up)
+     * Japanese, Chinese and Thai are written without spaces, so their words are counted
+     * with Intl.Segmenter; other languages separate words with spaces
+     */
+    isPhrase: function (text, lang) {
+        const trimmed = text.trim();
+        if (/\s/.test(trimmed)) return true;
+        if (!['ja', 'zh', 'th'].includes(lang)) return false;
+
+        const segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+        let words = 0;
+        for (const segment of segmenter.segment(trimmed)) {
+            if (segment.isWordLike && ++words > 1) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Resolve the pair to use for a selection, replacing 'auto' with the detected language
+     */
+    resolveLanguagePair: async function (text, pageLang = '') {
+        const pair = await this.getLanguagePair();
+        const sourceLang = pair.sourceLang === 'auto' ? this.detectLanguage(text, pageLang) : pair.sourceLang;
+
+        // Translating into the same language is useless (e.g. a Vietnamese page with target vi)
+        if (sourceLang === pair.targetLang) {
+            return { sourceLang, targetLang: sourceLang === 'en' ? 'vi' : 'en' };
+        }
+        return { sourceLang, targetLang: pair.targetLang };
+    }
+};
+
+// Make LANGUAGE_SETTINGS available globally (content scripts and popup)
+if (typeof globalThis !== 'undefined') {
+    globalThis.LINGORA_LANGUAGES = LANGUAGE_SETTINGS;
+}
@@ -0,0 +1,137 @@
+/**
+ * Lookup Cache for Lingora Chrome Extension
+ * Persists dictionary and phrase translation results in chrome.storage.local
+ * so repeat lookups are instant and still work when the backend is unreachable
+ */
+
+const LOOKUP_CACHE_CONFIG = {
+    storageKey: 'lookupCache',
+    // Entries younger than this are returned without hitting the network
+    freshFor: 24 * 60 * 60 * 1000, // 1 day
+    // Entries older than this are evicted and never served, not even offline
+    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    maxEntries: 500
+};
+
+// Serialize read-modify-write cycles on the cache object
+let lookupCacheQueue = Promise.resolve();
+
+/**
+ * Run a mutation on the stored cache object and persist the result
+ */
+function updateLookupCache(mutator) {
+    const run = lookupCacheQueue.then(async () => {
+        const result = await chrome.storage.local.get([LOOKUP_CACHE_CONFIG.storageKey]);
+        const entries = result[LOOKUP_CACHE_CONFIG.storageKey] || {};
+        const value = mutator(entries);
+        await chrome.storage.local.set({ [LOOKUP_CACHE_CONFIG.storageKey]: entries });
+        return value;
+    });
+    lookupCacheQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Drop expired entries, then the least recently used ones above the size limit
+ */
+function evictLookupCache(entries, now = Date.now()) {
+    Object.keys(entries).forEach(key => {
+        if (now - entries[key].cachedAt > LOOKUP_CACHE_CONFIG.maxAge) {
+            delete entries[key];
+        }
+    });
+
+    const keys = Object.keys(entries);
+    if (keys.length > LOOKUP_CACHE_CONFIG.maxEntries) {
+        keys
+            .sort((a, b) => entries[a].lastAccess - entries[b].lastAccess)
+            .slice(0, keys.length - LOOKUP_CACHE_CONFIG.maxEntries)
+            .forEach(key => delete entries[key]);
+    }
+}
+
+/**
+ * Build the cache key for a dictionary lookup
+ */
+function wordCacheKey(term, sourceLang = 'en', targetLang = 'vi') {
+    return `word:${sourceLang}:${targetLang}:${term.trim().toLowerCase()}`;
+}
+
+/**
+ * Build the cache key for a phrase translation
+ */
+function phraseCacheKey(text, sourceLang = 'en', targetLang = 'vi') {
+    return `phrase:${sourceLang}:${targetLang}:${text.trim().toLowerCase()}`;
+}
+
+/**
+ * Get a cache entry that has not expired yet
+ */
+async function getLookupCacheEntry(key) {
+    const result = await chrome.storage.local.get([LOOKUP_CACHE_CONFIG.storageKey]);
+    const entry = (result[LOOKUP_CACHE_CONFIG.storageKey] || {})[key];
+    if (!entry || Date.now() - entry.cachedAt > LOOKUP_CACHE_CONFIG.maxAge) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Store a fresh response in the cache
+ */
+function setLookupCacheEntry(key, data) {
+    return updateLookupCache(entries => {
+        const now = Date.now();
+        entries[key] = { data, cachedAt: now, lastAccess: now };
+        evictLookupCache(entries, now);
+    });
+}
+
+/**
+ * Mark an entry as recently used so LRU eviction keeps it
+ */
+function touchLookupCacheEntry(key) {
+    return updateLookupCache(entries => {
+        if (entries[key]) {
+            entries[key].lastAccess = Date.now();
+        }
+    });
+}
+
+/**
+ * Remove every cached lookup
+ */
+async function clearLookupCache() {
+    await lookupCacheQueue;
+    await chrome.storage.local.remove([LOOKUP_CACHE_CONFIG.storageKey]);
+}
+
+/**
+ * Resolve a lookup through the cache
+ * Fresh entries are answered right away; otherwise the network is tried and,
+ * if it fails, a stale entry is returned marked with fromCache/cachedAt
+ * @param {string} key - Cache key from wordCacheKey / phraseCacheKey
+ * @param {Function} fetcher - Performs the network request
+ */
+async function cachedLookup(key, fetcher) {
+    const entry = await getLookupCacheEntry(key);
+
+    if (entry && Date.now() - entry.cachedAt < LOOKUP_CACHE_CONFIG.freshFor) {
+        touchLookupCacheEntry(key).catch(error => console.error('Lookup cache error:', error));
+        return entry.data;
+    }
+
+    try {
+        const data = await fetcher();
+        if (data) {
+            await setLookupCacheEntry(key, data);
+        }
+        return data;
+    } catch (error) {
+        if (!entry) throw error;
+
+        console.warn('Lingora: Network lookup failed, serving cached result', error);
+        touchLookupCacheEntry(key).catch(err => console.error('Lookup cache error:', err));
+        return { ...entry.data, fromCache: true, cachedAt: entry.cachedAt };
+    }
+}
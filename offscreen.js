@@ -1,10 +1,111 @@
-// Offscreen script to handle audio playback
+// Offscreen script to handle audio playback and speech (pronunciation.js in the background drives it)
+
+// The recording last played, kept for stop / replay
+let currentAudio = null;
+
+// Give up on speech that has not started by then (no engine, stuck queue)
+const SPEECH_START_TIMEOUT = 5000;
+
+/**
+ * Stop the recording and any speech
+ */
+function stopPlayback() {
+    if (currentAudio) {
+        currentAudio.pause();
+        currentAudio.currentTime = 0;
+    }
+    speechSynthesis.cancel();
+}
+
+/**
+ * speechSynthesis voices load asynchronously the first time
+ */
+function getSpeechVoices() {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length > 0) return Promise.resolve(voices);
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(speechSynthesis.getVoices()), 1000);
+        speechSynthesis.addEventListener('voiceschanged', () => {
+            clearTimeout(timer);
+            resolve(speechSynthesis.getVoices());
+        }, { once: true });
+    });
+}
+
+/**
+ * Speak text; resolves once speech starts (or ends, for text too short to report a start)
+ * Rejects on a speech error or when nothing starts within SPEECH_START_TIMEOUT
+ */
+async function speak(text, lang, rate) {
+    const voices = await getSpeechVoices();
+    const base = lang.split('-')[0].toLowerCase();
+    const voice = voices.find(v => v.lang.toLowerCase() === lang.toLowerCase())
+        || voices.find(v => v.lang.split('-')[0].toLowerCase() === base);
+    if (!voice) throw new Error('Không có giọng đọc cho ngôn ngữ này');
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    utterance.rate = rate;
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            speechSynthesis.cancel();
+            reject(new Error('Giọng đọc không phản hồi'));
+        }, SPEECH_START_TIMEOUT);
+
+        // Settling twice is a no-op, so a late end or error after the start is ignored
+        utterance.onstart = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        utterance.onend = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        utterance.onerror = event => {
+            clearTimeout(timer);
+            reject(new Error(event.error));
+        };
+        speechSynthesis.speak(utterance);
+    });
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'playAudioOffscreen') {
-        const audio = new Audio(request.url);
-        audio.play()
-            .then(() => sendResponse({ success: true }))
-            .catch(error => sendResponse({ error: error.message }));
-        return true; // Keep message channel open
+    switch (request.action) {
+        case 'playAudioOffscreen':
+            stopPlayback();
+            currentAudio = new Audio(request.url);
+            currentAudio.playbackRate = request.playbackRate || 1;
+            currentAudio.play()
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true; // Keep message channel open
+
+        case 'replayAudioOffscreen':
+            if (!currentAudio) {
+                sendResponse({ error: 'Nothing to replay' });
+                return false;
+            }
+            speechSynthesis.cancel();
+            currentAudio.currentTime = 0;
+            currentAudio.play()
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+
+        case 'stopAudioOffscreen':
+            stopPlayback();
+            sendResponse({ success: true });
+            return false;
+
+        case 'speakOffscreen':
+            stopPlayback();
+            speak(request.text, request.lang, request.rate || 1)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
     }
+    return false;
 });
@@ -0,0 +1,247 @@
+/**
+ * Options Page for Lingora Chrome Extension
+ * Chooses the backend and web app the extension talks to (stored for config.js),
+ * where the lookup button appears, how it is triggered and for which word levels (site-settings.js)
+ */
+
+// DOM Elements
+const environmentForm = document.getElementById('environment-form');
+const environmentRadios = document.querySelectorAll('input[name="environment"]');
+const customUrls = document.getElementById('custom-urls');
+const backendUrlInput = document.getElementById('backend-url');
+const webAppUrlInput = document.getElementById('webapp-url');
+const statusText = document.getElementById('status');
+const saveBtn = document.getElementById('save-btn');
+
+// Site settings elements
+const siteForm = document.getElementById('site-form');
+const triggerModeSelect = document.getElementById('trigger-mode');
+const modifierKeySelect = document.getElementById('modifier-key');
+const minLevelSelect = document.getElementById('min-level');
+const siteModeRadios = document.querySelectorAll('input[name="site-mode"]');
+const allowListInput = document.getElementById('allow-list');
+const blockListInput = document.getElementById('block-list');
+const siteStatus = document.getElementById('site-status');
+
+// How long to wait for the backend health check (free hosting may need to wake up)
+const HEALTH_CHECK_TIMEOUT = 20000;
+
+/**
+ * Show the current environment
+ */
+async function init() {
+    const config = window.LINGORA_CONFIG;
+    await config.ready;
+
+    document.getElementById('production-urls').textContent = config.presets.production.backendUrl;
+    document.getElementById('localhost-urls').textContent = config.presets.localhost.backendUrl;
+
+    environmentRadios.forEach(radio => {
+        radio.checked = radio.value === config.environment;
+    });
+    backendUrlInput.value = config.getBackendUrl();
+    webAppUrlInput.value = config.webApp.baseUrl;
+    updateCustomFields();
+
+    await loadSiteSettings();
+}
+
+/**
+ * Show the stored site lists and trigger mode
+ */
+async function loadSiteSettings() {
+    const siteSettingsApi = window.LINGORA_SITE_SETTINGS;
+    const settings = await siteSettingsApi.getSettings();
+
+    modifierKeySelect.length = 0;
+    siteSettingsApi.modifierKeys.forEach(key => modifierKeySelect.add(new Option(key.name, key.value)));
+    minLevelSelect.length = 1;
+    siteSettingsApi.levels.slice(1).forEach(level => minLevelSelect.add(new Option(`${level} trở lên`, level)));
+
+    triggerModeSelect.value = settings.triggerMode;
+    modifierKeySelect.value = settings.modifierKey;
+    minLevelSelect.value = settings.minLevel;
+    siteModeRadios.forEach(radio => {
+        radio.checked = radio.value === settings.siteMode;
+    });
+    allowListInput.value = settings.allowList.join('\n');
+    blockListInput.value = settings.blockList.join('\n');
+    updateModifierField();
+}
+
+/**
+ * The modifier key only matters in 'modifier' trigger mode
+ */
+function updateModifierField() {
+    modifierKeySelect.style.display = triggerModeSelect.value === 'modifier' ? 'block' : 'none';
+}
+
+/**
+ * Parse a textarea of hostnames, one per line
+ * @returns {{hosts: string[], invalid: string[]}}
+ */
+function parseHostList(value) {
+    const hosts = [];
+    const invalid = [];
+
+    value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const host = window.LINGORA_SITE_SETTINGS.normalizeHost(line);
+        if (!host) {
+            invalid.push(line);
+        } else if (!hosts.includes(host)) {
+            hosts.push(host);
+        }
+    });
+
+    return { hosts, invalid };
+}
+
+/**
+ * Show the URL fields only for a custom environment
+ */
+function updateCustomFields() {
+    const selected = document.querySelector('input[name="environment"]:checked');
+    customUrls.style.display = selected && selected.value === 'custom' ? 'block' : 'none';
+}
+
+/**
+ * Show a status line under a form
+ */
+function showStatus(message, isError = false, element = statusText) {
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+/**
+ * Parse a user-entered base URL
+ * Plain http is only accepted for local development servers
+ * @returns {string} Origin plus path without trailing slash
+ */
+function parseBaseUrl(value, label) {
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (e) {
+        throw new Error(`${label} không phải là URL hợp lệ`);
+    }
+
+    const isLocal = ['localhost', '127.0.0.1'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+        throw new Error(`${label} phải dùng https:// (http:// chỉ dành cho localhost)`);
+    }
+
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+/**
+ * Make sure the backend answers at all (any HTTP status counts as reachable)
+ */
+async function checkBackend(backendUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT);
+
+    try {
+        await fetch(backendUrl, { method: 'GET', signal: controller.signal });
+    } catch (error) {
+        throw new Error(`Không kết nối được tới ${backendUrl}`);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+environmentRadios.forEach(radio => radio.addEventListener('change', updateCustomFields));
+
+/**
+ * Check and save the chosen environment
+ */
+environmentForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const config = window.LINGORA_CONFIG;
+    const environment = document.querySelector('input[name="environment"]:checked').value;
+
+    let settings;
+    try {
+        settings = environment === 'custom'
+            ? {
+                environment,
+                backendUrl: parseBaseUrl(backendUrlInput.value, 'Backend API'),
+                webAppUrl: parseBaseUrl(webAppUrlInput.value, 'Web app')
+            }
+            : { environment, ...config.presets[environment] };
+    } catch (error) {
+        showStatus(error.message, true);
+        return;
+    }
+
+    // Must be requested straight from the click, before any other await
+    const granted = await chrome.permissions.request({
+        origins: [`${new URL(settings.backendUrl).origin}/*`]
+    });
+    if (!granted) {
+        showStatus('Cần cấp quyền truy cập máy chủ để extension gọi API', true);
+        return;
+    }
+
+    saveBtn.disabled = true;
+    showStatus('Đang kiểm tra máy chủ...');
+
+    try {
+        await checkBackend(settings.backendUrl);
+
+        // Tokens and cached results belong to the old backend
+        if (settings.backendUrl !== config.getBackendUrl()) {
+            const authCheck = await chrome.runtime.sendMessage({ action: 'checkAuth' });
+            if (authCheck.isAuthenticated) {
+                await chrome.runtime.sendMessage({ action: 'logout' });
+            }
+            await chrome.runtime.sendMessage({ action: 'clearLookupCache' });
+        }
+
+        await chrome.storage.local.set({ [config.storageKey]: settings });
+        await chrome.storage.local.remove(['apiBaseUrl']);
+        showStatus(`Đã lưu. Extension đang dùng ${settings.backendUrl}`);
+    } catch (error) {
+        showStatus(error.message, true);
+    } finally {
+        saveBtn.disabled = false;
+    }
+});
+
+triggerModeSelect.addEventListener('change', updateModifierField);
+
+/**
+ * Save site lists and trigger mode
+ */
+siteForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const allow = parseHostList(allowListInput.value);
+    const block = parseHostList(blockListInput.value);
+    const invalid = [...allow.invalid, ...block.invalid];
+    if (invalid.length > 0) {
+        showStatus(`Tên miền không hợp lệ: ${invalid.join(', ')}`, true, siteStatus);
+        return;
+    }
+
+    const siteMode = document.querySelector('input[name="site-mode"]:checked').value;
+    if (siteMode === 'allowList' && allow.hosts.length === 0) {
+        showStatus('Thêm ít nhất một trang vào danh sách cho phép', true, siteStatus);
+        return;
+    }
+
+    await window.LINGORA_SITE_SETTINGS.setSettings({
+        triggerMode: triggerModeSelect.value,
+        modifierKey: modifierKeySelect.value,
+        minLevel: minLevelSelect.value,
+        siteMode,
+        allowList: allow.hosts,
+        blockList: block.hosts
+    });
+
+    allowListInput.value = allow.hosts.join('\n');
+    blockListInput.value = block.hosts.join('\n');
+    showStatus('Đã lưu. Áp dụng ngay cho các tab đang mở.', false, siteStatus);
+});
+
+init();
@@ -0,0 +1,300 @@
+/**
+ * Outbox for Lingora Chrome Extension
+ * Keeps flashcard saves, study set creations and image uploads that failed
+ * (offline, server down, session expired) and replays them with exponential backoff
+ */
+
+const OUTBOX_CONFIG = {
+    storageKey: 'outbox',
+    alarmName: 'lingora-outbox-retry',
+    baseDelay: 30 * 1000, // 30 seconds
+    maxDelay: 60 * 60 * 1000 // 1 hour
+};
+
+// Serialize read-modify-write cycles on the stored outbox
+let outboxQueue = Promise.resolve();
+let outboxRun = null;
+
+/**
+ * Decide whether a failed request is worth replaying later
+ * Network errors, rate limits, auth and server errors are retryable; validation
+ * errors (other 4xx) would fail again, and a write that timed out may already have
+ * been applied (replaying it could duplicate the card), so neither is
+ */
+function isRetryableError(error) {
+    if (error && error.outcomeUnknown) return false;
+    if (!error || !error.status) return true;
+    return error.status === 401 || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Encode a byte array as base64 so uploads can be stored compactly
+ */
+function bytesToBase64(bytes) {
+    const array = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < array.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, array.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a base64 string back to bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Get all queued outbox items, oldest first
+ */
+async function getOutbox() {
+    const result = await chrome.storage.local.get([OUTBOX_CONFIG.storageKey]);
+    return result[OUTBOX_CONFIG.storageKey] || [];
+}
+
+/**
+ * Run a mutation on the stored outbox and persist the result
+ */
+function updateOutbox(mutator) {
+    const run = outboxQueue.then(async () => {
+        const items = await getOutbox();
+        const value = mutator(items);
+        await chrome.storage.local.set({ [OUTBOX_CONFIG.storageKey]: items });
+        await updateBadge();
+        return value;
+    });
+    outboxQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Human readable label for an outbox item (shown in the popup)
+ */
+function describeOutboxItem(type, payload) {
+    switch (type) {
+        case 'addFlashcard':
+            return payload.flashcardData.frontText;
+        case 'createStudySet':
+            return payload.title;
+        case 'uploadImage':
+            return payload.fileName;
+        default:
+            return type;
+    }
+}
+
+/**
+ * Perform the API call behind an outbox operation
+ */
+async function executeOutboxOperation(type, payload) {
+    switch (type) {
+        case 'addFlashcard':
+            return await api.addFlashcard(payload.studySetId, payload.flashcardData);
+
+        case 'createStudySet':
+            return await api.createStudySet(payload.title, payload.visibility);
+
+        case 'uploadImage': {
+            const bytes = base64ToBytes(payload.fileData);
+            const file = new File([bytes], payload.fileName, { type: payload.fileType });
+            return await api.uploadImage(file);
+        }
+
+        default:
+            throw new Error(`Unknown outbox operation: ${type}`);
+    }
+}
+
+/**
+ * Add an operation to the outbox
+ * @param {string} type - 'addFlashcard' | 'createStudySet' | 'uploadImage'
+ * @param {Object} payload - Arguments for the API call
+ * @param {Object} dependsOn - Payload fields waiting on other outbox items,
+ *   e.g. { studySetId: '<outbox id>', imageUrl: '<outbox id>' }
+ * @param {string} lastError - Error message of the failed attempt, if any
+ */
+function enqueueOutbox(type, payload, dependsOn = {}, lastError = null) {
+    const item = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        payload,
+        dependsOn,
+        label: describeOutboxItem(type, payload),
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now() + OUTBOX_CONFIG.baseDelay,
+        lastError
+    };
+
+    return updateOutbox(items => {
+        items.push(item);
+        return item;
+    }).then(async (queued) => {
+        await scheduleOutboxAlarm();
+        return queued;
+    });
+}
+
+/**
+ * Run an operation now, or queue it when it cannot complete
+ * Operations that depend on queued items are queued straight away
+ * @returns {Promise<Object>} API result, or { queued: true, outboxId }
+ */
+async function runOrQueue(type, payload, dependsOn = {}) {
+    if (Object.keys(dependsOn || {}).length > 0) {
+        const item = await enqueueOutbox(type, payload, dependsOn);
+        return { queued: true, outboxId: item.id };
+    }
+
+    try {
+        return await executeOutboxOperation(type, payload);
+    } catch (error) {
+        if (!isRetryableError(error)) throw error;
+
+        console.warn(`Lingora: ${type} failed, added to outbox`, error);
+        const item = await enqueueOutbox(type, payload, {}, error.message);
+        return { queued: true, outboxId: item.id };
+    }
+}
+
+/**
+ * Backoff delay before the next attempt
+ */
+function outboxDelay(attempts) {
+    return Math.min(OUTBOX_CONFIG.baseDelay * Math.pow(2, attempts), OUTBOX_CONFIG.maxDelay);
+}
+
+/**
+ * Schedule an alarm for the earliest pending retry
+ */
+async function scheduleOutboxAlarm() {
+    const items = await getOutbox();
+    const waiting = items.filter(item => Object.keys(item.dependsOn).length === 0 && item.nextAttemptAt !== null);
+
+    if (waiting.length === 0) {
+        await chrome.alarms.clear(OUTBOX_CONFIG.alarmName);
+        return;
+    }
+
+    const next = Math.min(...waiting.map(item => item.nextAttemptAt));
+    // chrome.alarms has a minimum granularity of 30 seconds
+    await chrome.alarms.create(OUTBOX_CONFIG.alarmName, { when: Math.max(next, Date.now() + 30 * 1000) });
+}
+
+/**
+ * Fill in payload fields of items that were waiting on a completed item
+ */
+function resolveOutboxDependents(items, completedId, result) {
+    items.forEach(item => {
+        Object.keys(item.dependsOn).forEach(field => {
+            if (item.dependsOn[field] !== completedId) return;
+
+            if (field === 'studySetId') {
+                item.payload.studySetId = result.id;
+            } else if (field === 'imageUrl') {
+                item.payload.flashcardData.imageUrl = result.imageUrl;
+            }
+            delete item.dependsOn[field];
+        });
+    });
+}
+
+/**
+ * Replay queued operations that are due
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore backoff and try every retryable item now
+ */
+function processOutbox({ force = false } = {}) {
+    if (outboxRun) return outboxRun;
+
+    outboxRun = (async () => {
+        if (!(await getAuthToken())) return;
+
+        // Items are processed oldest first so dependencies resolve in the same run
+        for (const { id } of await getOutbox()) {
+            const item = (await getOutbox()).find(i => i.id === id);
+            if (!item || Object.keys(item.dependsOn).length > 0) continue;
+            if (item.nextAttemptAt === null) continue;
+            if (!force && item.nextAttemptAt > Date.now()) continue;
+
+            try {
+                const result = await executeOutboxOperation(item.type, item.payload);
+                invalidateFlashcardIndex();
+                await updateOutbox(items => {
+                    const index = items.findIndex(i => i.id === id);
+                    if (index !== -1) items.splice(index, 1);
+                    resolveOutboxDependents(items, id, result);
+                });
+            } catch (error) {
+                const retryable = isRetryableError(error);
+                await updateOutbox(items => {
+                    const queued = items.find(i => i.id === id);
+                    if (!queued) return;
+                    queued.attempts += 1;
+                    queued.lastError = error.message;
+                    // Items that can never succeed stay listed until the user retries or discards them
+                    queued.nextAttemptAt = retryable ? Date.now() + outboxDelay(queued.attempts) : null;
+                });
+
+                // Still offline: no point hammering the rest of the queue
+                if (!error.status) break;
+            }
+        }
+    })()
+        .catch(error => console.error('Outbox processing error:', error))
+        .finally(async () => {
+            outboxRun = null;
+            await scheduleOutboxAlarm();
+        });
+
+    return outboxRun;
+}
+
+/**
+ * Retry one item (and whatever it depends on) right away
+ */
+async function retryOutboxItem(id) {
+    await updateOutbox(items => {
+        const pending = [id];
+        while (pending.length > 0) {
+            const item = items.find(i => i.id === pending.pop());
+            if (!item) continue;
+            item.nextAttemptAt = 0;
+            pending.push(...Object.values(item.dependsOn));
+        }
+    });
+    await processOutbox();
+    return await getOutbox();
+}
+
+/**
+ * Discard an item together with every item that depends on it
+ */
+async function discardOutboxItem(id) {
+    await updateOutbox(items => {
+        const removed = new Set([id]);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            items.forEach(item => {
+                if (!removed.has(item.id) && Object.values(item.dependsOn).some(dep => removed.has(dep))) {
+                    removed.add(item.id);
+                    changed = true;
+                }
+            });
+        }
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (removed.has(items[i].id)) items.splice(i, 1);
+        }
+    });
+    await scheduleOutboxAlarm();
+    return await getOutbox();
+}
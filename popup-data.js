@@ -0,0 +1,510 @@
+/**
+ * Popup Data Tab for Lingora Chrome Extension
+ * Export lookup history or a study set to CSV, Anki TSV or JSON,
+ * and import cards into a study set from a CSV/TSV file
+ */
+
+// Export elements
+const exportSource = document.getElementById('export-source');
+const exportFormat = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-btn');
+const exportStatus = document.getElementById('export-status');
+
+// Import elements
+const importFile = document.getElementById('import-file');
+const importHasHeader = document.getElementById('import-has-header');
+const importMapping = document.getElementById('import-mapping');
+const importMappingSelects = importMapping.querySelectorAll('select');
+const importStudySet = document.getElementById('import-study-set');
+const importPreviewBtn = document.getElementById('import-preview-btn');
+const importBtn = document.getElementById('import-btn');
+const importStatus = document.getElementById('import-status');
+const importPreview = document.getElementById('import-preview');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    anki: { extension: 'txt', mimeType: 'text/tab-separated-values' }, // Anki's importer expects .txt
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+// Header names recognized when guessing the column mapping
+const IMPORT_FIELD_ALIASES = {
+    frontText: ['front', 'fronttext', 'term', 'word', 'mặt trước', 'từ'],
+    backText: ['back', 'backtext', 'meaning', 'definition', 'translation', 'mặt sau', 'nghĩa'],
+    example: ['example', 'sentence', 'ví dụ', 'câu'],
+    imageUrl: ['image', 'imageurl', 'image url', 'ảnh', 'hình ảnh', 'link ảnh']
+};
+
+const IMPORT_STATUS_LABELS = {
+    ready: 'Sẽ tạo',
+    pending: 'Đang chờ',
+    created: 'Đã tạo'
+};
+
+// Rows of the chosen file (header included), as arrays of cells
+let importTable = [];
+
+/**
+ * Load the study sets that can be exported or imported into
+ */
+async function loadDataTab() {
+    try {
+        const studySets = await chrome.runtime.sendMessage({ action: 'getStudySets' });
+        if (studySets.error) throw new Error(studySets.error);
+
+        const currentSource = exportSource.value;
+        exportSource.length = 1;
+        studySets.forEach(set => exportSource.add(new Option(`Bộ: ${set.title}`, set.id)));
+        exportSource.value = currentSource;
+        if (!exportSource.value) exportSource.value = 'history';
+
+        const currentSet = importStudySet.value;
+        importStudySet.length = 1;
+        studySets.forEach(set => importStudySet.add(new Option(set.title, set.id)));
+        importStudySet.value = currentSet;
+
+        // An import keeps running in the background after the popup closes
+        const importJob = await chrome.runtime.sendMessage({ action: 'getImportJob' });
+        if (importJob && !importJob.error) renderImportJob(importJob);
+    } catch (error) {
+        console.error('Error loading study sets:', error);
+        showDataStatus(exportStatus, error.message || 'Không thể tải bộ học liệu', true);
+    }
+}
+
+tabLoaders.data = loadDataTab;
+
+/**
+ * Show a status line under a section
+ */
+function showDataStatus(element, message, isError = false) {
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Records to export and the Anki note fields [front, back, example] for each
+ * @returns {Promise<{name: string, columns: string[], records: Object[], notes: Array<string[]>}>}
+ */
+async function getExportData(source) {
+    if (source === 'history') {
+        const entries = await chrome.runtime.sendMessage({ action: 'getHistory' });
+        if (entries.error) throw new Error(entries.error);
+
+        const records = entries.map(entry => ({
+            term: entry.term,
+            meaning: entry.result.meaning || entry.result.vnMeaning || '',
+            type: entry.result.type || '',
+            phonetic: entry.result.phonetic || '',
+            example: entry.result.example || '',
+            sentence: entry.sentence || '',
+            pageTitle: entry.pageTitle || '',
+            pageUrl: entry.pageUrl || '',
+            lookedUpAt: new Date(entry.timestamp).toISOString()
+        }));
+        return {
+            name: 'lich-su-tra-cuu',
+            columns: ['term', 'meaning', 'type', 'phonetic', 'example', 'sentence', 'pageTitle', 'pageUrl', 'lookedUpAt'],
+            records,
+            notes: records.map(record => [record.term, record.meaning, record.sentence || record.example])
+        };
+    }
+
+    const flashcards = await chrome.runtime.sendMessage({ action: 'getStudySetFlashcards', studySetId: parseInt(source) });
+    if (flashcards.error) throw new Error(flashcards.error);
+
+    const records = flashcards.map(card => ({
+        frontText: card.frontText || '',
+        backText: card.backText || '',
+        example: card.example || '',
+        imageUrl: card.imageUrl || ''
+    }));
+    return {
+        name: exportSource.selectedOptions[0].textContent.replace(/^Bộ: /, ''),
+        columns: ['frontText', 'backText', 'example', 'imageUrl'],
+        records,
+        notes: records.map(record => [record.frontText, record.backText, record.example])
+    };
+}
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break
+ * Cells that a spreadsheet would read as a formula get a leading ' so they stay text
+ */
+function escapeCsvCell(value) {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format export data in the chosen format
+ */
+function formatExport(data, format) {
+    if (format === 'json') {
+        return JSON.stringify(data.records, null, 2);
+    }
+
+    if (format === 'anki') {
+        // Anki plain-text import: header directives, then one tab-separated note per line
+        const clean = value => String(value || '').replace(/[\t\r\n]+/g, ' ').trim();
+        return [
+            '#separator:tab',
+            '#html:false',
+            '#columns:Front\tBack\tExample',
+            ...data.notes.map(note => note.map(clean).join('\t'))
+        ].join('\n');
+    }
+
+    // CSV with a BOM so Excel opens Vietnamese text as UTF-8
+    const rows = [data.columns, ...data.records.map(record => data.columns.map(column => record[column]))];
+    return `\ufeff${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}`;
+}
+
+/**
+ * File-name-safe version of a title ("Từ vựng IELTS" -> "tu-vung-ielts")
+ */
+function slugify(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/gi, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'lingora';
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+exportBtn.addEventListener('click', async () => {
+    const format = exportFormat.value;
+    exportBtn.disabled = true;
+    showDataStatus(exportStatus, 'Đang chuẩn bị...');
+
+    try {
+        const data = await getExportData(exportSource.value);
+        if (data.records.length === 0) {
+            showDataStatus(exportStatus, 'Không có dữ liệu để xuất', true);
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        downloadFile(formatExport(data, format), `lingora-${slugify(data.name)}-${date}.${extension}`, mimeType);
+        showDataStatus(exportStatus, `Đã xuất ${data.records.length} dòng`);
+    } catch (error) {
+        console.error('Export failed:', error);
+        showDataStatus(exportStatus, error.message || 'Không thể xuất dữ liệu', true);
+    } finally {
+        exportBtn.disabled = false;
+    }
+});
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a, b" and "" for a literal quote)
+ * @returns {string[][]} Non-empty rows
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Read a CSV/TSV file, skipping Anki's "#key:value" header lines
+ */
+function parseImportFile(text, fileName) {
+    let lines = text.replace(/^\ufeff/, '').split(/\r?\n/);
+    let delimiter = null;
+
+    while (lines.length > 0 && /^#\w+:/.test(lines[0])) {
+        const match = lines[0].match(/^#separator:(.*)$/i);
+        if (match) {
+            delimiter = { tab: '\t', comma: ',', semicolon: ';', pipe: '|' }[match[1].trim().toLowerCase()] || null;
+        }
+        lines = lines.slice(1);
+    }
+
+    if (!delimiter) {
+        const firstLine = lines.find(line => line.trim()) || '';
+        const tabs = firstLine.split('\t').length;
+        const commas = firstLine.split(',').length;
+        const semicolons = firstLine.split(';').length;
+        if (/\.(tsv|txt)$/i.test(fileName) || (tabs > 1 && tabs >= commas)) {
+            delimiter = '\t';
+        } else {
+            delimiter = semicolons > commas ? ';' : ',';
+        }
+    }
+
+    return parseDelimited(lines.join('\n'), delimiter);
+}
+
+/**
+ * Fill the column pickers and guess the mapping from the header row
+ */
+function renderImportMapping() {
+    const columnCount = Math.max(0, ...importTable.map(row => row.length));
+    const header = importHasHeader.checked ? importTable[0] || [] : [];
+    const columnName = i => (header[i] ? `${i + 1}. ${header[i]}` : `Cột ${i + 1}`);
+
+    const guessed = {};
+    Object.entries(IMPORT_FIELD_ALIASES).forEach(([field, aliases]) => {
+        const i = header.findIndex(name => aliases.includes(name.toLowerCase()));
+        if (i !== -1) guessed[field] = i;
+    });
+    // Without recognizable headers assume front, back, example order
+    if (guessed.frontText === undefined && guessed.backText === undefined) {
+        ['frontText', 'backText', 'example'].forEach((field, i) => {
+            if (i < columnCount) guessed[field] = i;
+        });
+    }
+
+    importMappingSelects.forEach(select => {
+        select.length = 0;
+        select.add(new Option('Không dùng', ''));
+        for (let i = 0; i < columnCount; i++) {
+            select.add(new Option(columnName(i), i));
+        }
+        const guess = guessed[select.dataset.field];
+        select.value = guess === undefined ? '' : String(guess);
+    });
+
+    importMapping.style.display = columnCount > 0 ? 'grid' : 'none';
+}
+
+/**
+ * Cards built from the file rows with the current mapping
+ */
+function getMappedCards() {
+    const rows = importHasHeader.checked ? importTable.slice(1) : importTable;
+    return rows.map(row => {
+        const card = {};
+        importMappingSelects.forEach(select => {
+            if (select.value !== '') card[select.dataset.field] = row[parseInt(select.value)] || '';
+        });
+        return card;
+    });
+}
+
+/**
+ * Forget a previous preview when the file, mapping or target set changes
+ */
+function resetImportPreview() {
+    importPreview.innerHTML = '';
+    importBtn.disabled = true;
+    importBtn.textContent = 'Nhập thẻ';
+    importPreviewBtn.disabled = importTable.length === 0;
+    showDataStatus(importStatus, '');
+}
+
+/**
+ * Show the per-row result of a dry run or an import
+ */
+function renderImportResult(result) {
+    importPreview.innerHTML = '';
+
+    // Problems first, so they are visible without scrolling
+    const rows = [...result.rows].sort((a, b) => Number(!a.error) - Number(!b.error) || a.index - b.index);
+    rows.slice(0, 200).forEach(row => {
+        const li = document.createElement('li');
+
+        const front = document.createElement('span');
+        front.className = 'import-front';
+        front.textContent = `${row.index + 1}. ${row.frontText || '(trống)'}`;
+        front.title = row.frontText;
+
+        const status = document.createElement('span');
+        status.className = `import-row-status ${row.status}`;
+        status.textContent = row.error || IMPORT_STATUS_LABELS[row.status] || row.status;
+
+        li.append(front, status);
+        importPreview.appendChild(li);
+    });
+}
+
+/**
+ * Run the import (or its dry run) in the background worker
+ */
+async function runImport(dryRun) {
+    const studySetId = parseInt(importStudySet.value);
+    if (!studySetId) {
+        showDataStatus(importStatus, 'Vui lòng chọn bộ học liệu', true);
+        return null;
+    }
+
+    const cards = getMappedCards();
+    if (!cards.some(card => 'frontText' in card) || !cards.some(card => 'backText' in card)) {
+        showDataStatus(importStatus, 'Hãy chọn cột cho mặt trước và mặt sau', true);
+        return null;
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'importFlashcards', studySetId, cards, dryRun });
+    if (result.error) throw new Error(result.error);
+    return result;
+}
+
+importFile.addEventListener('change', async () => {
+    importTable = [];
+    resetImportPreview();
+    const file = importFile.files[0];
+    if (!file) {
+        renderImportMapping();
+        return;
+    }
+
+    try {
+        importTable = parseImportFile(await file.text(), file.name);
+        if (importTable.length === 0) throw new Error('File không có dữ liệu');
+
+        // A header row is likely when its cells match known column names
+        const aliases = Object.values(IMPORT_FIELD_ALIASES).flat();
+        importHasHeader.checked = importTable[0].some(cell => aliases.includes(cell.toLowerCase()));
+
+        renderImportMapping();
+        resetImportPreview();
+        showDataStatus(importStatus, `Đã đọc ${importTable.length} dòng. Chọn cột rồi bấm "Xem trước".`);
+    } catch (error) {
+        console.error('Could not read import file:', error);
+        importTable = [];
+        renderImportMapping();
+        resetImportPreview();
+        showDataStatus(importStatus, error.message || 'Không đọc được file', true);
+    }
+});
+
+importHasHeader.addEventListener('change', () => {
+    renderImportMapping();
+    resetImportPreview();
+});
+importMapping.addEventListener('change', resetImportPreview);
+importStudySet.addEventListener('change', resetImportPreview);
+
+importPreviewBtn.addEventListener('click', async () => {
+    importPreviewBtn.disabled = true;
+    importBtn.disabled = true;
+    showDataStatus(importStatus, 'Đang kiểm tra...');
+
+    try {
+        const result = await runImport(true);
+        if (!result) return;
+
+        const { ready = 0, duplicate = 0, invalid = 0 } = result.counts;
+        renderImportResult(result);
+        showDataStatus(importStatus, `Xem trước: ${ready} thẻ sẽ được tạo, ${duplicate} thẻ trùng sẽ bỏ qua, ${invalid} dòng không hợp lệ`);
+        importBtn.disabled = ready === 0;
+        importBtn.textContent = `Nhập ${ready} thẻ`;
+    } catch (error) {
+        console.error('Import preview failed:', error);
+        showDataStatus(importStatus, error.message || 'Không thể kiểm tra file', true);
+    } finally {
+        importPreviewBtn.disabled = false;
+    }
+});
+
+/**
+ * Show the progress or the result of the import job
+ * A finished job is forgotten once shown, so it is not reported again on the next open
+ */
+function renderImportJob(job) {
+    const { pending = 0, created = 0, failed = 0 } = job.counts;
+    renderImportResult(job);
+
+    if (job.status === 'running') {
+        importBtn.disabled = true;
+        importPreviewBtn.disabled = true;
+        showDataStatus(importStatus, `Đang nhập thẻ: còn ${pending} thẻ, đã tạo ${created}. Có thể đóng popup, việc nhập vẫn tiếp tục.`);
+        return;
+    }
+
+    showDataStatus(
+        importStatus,
+        failed > 0 ? `Đã tạo ${created} thẻ, ${failed} thẻ lỗi` : `Đã tạo ${created} thẻ`,
+        failed > 0
+    );
+    importBtn.textContent = 'Nhập thẻ';
+    importPreviewBtn.disabled = importTable.length === 0;
+    chrome.runtime.sendMessage({ action: 'clearImportJob' });
+}
+
+importBtn.addEventListener('click', async () => {
+    importBtn.disabled = true;
+    importPreviewBtn.disabled = true;
+    showDataStatus(importStatus, 'Đang bắt đầu nhập thẻ...');
+
+    try {
+        const result = await runImport(false);
+        if (!result) {
+            importPreviewBtn.disabled = false;
+            return;
+        }
+        renderImportJob(result);
+    } catch (error) {
+        console.error('Import failed:', error);
+        showDataStatus(importStatus, error.message || 'Không thể nhập thẻ', true);
+        importPreviewBtn.disabled = false;
+    }
+});
+
+// Progress saved by the background after each batch
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local' || !changes.importJob || !changes.importJob.newValue) return;
+    // Another tab is open: the data tab picks the job up when it is shown
+    if (document.getElementById('tab-data').style.display === 'none') return;
+
+    const importJob = await chrome.runtime.sendMessage({ action: 'getImportJob' });
+    if (importJob && !importJob.error) renderImportJob(importJob);
+});
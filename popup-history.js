@@ -0,0 +1,270 @@
+/**
+ * Popup History Tab for Lingora Chrome Extension
+ * Search, filter and delete past lookups, and send them to a study set
+ */
+
+// History elements
+const historySearch = document.getElementById('history-search');
+const historyDate = document.getElementById('history-date');
+const historySite = document.getElementById('history-site');
+const historySelectAll = document.getElementById('history-select-all');
+const historySelectedCount = document.getElementById('history-selected-count');
+const historyList = document.getElementById('history-list');
+const historyEmpty = document.getElementById('history-empty');
+const historyStudySet = document.getElementById('history-study-set');
+const historySendBtn = document.getElementById('history-send-btn');
+const historyDeleteBtn = document.getElementById('history-delete-btn');
+const historyStatus = document.getElementById('history-status');
+
+let historyEntries = [];
+const selectedHistoryIds = new Set();
+
+/**
+ * Load history and the study sets it can be sent to
+ */
+async function loadHistory() {
+    try {
+        const [entries, studySets] = await Promise.all([
+            chrome.runtime.sendMessage({ action: 'getHistory' }),
+            chrome.runtime.sendMessage({ action: 'getStudySets' })
+        ]);
+
+        if (entries && !entries.error) {
+            historyEntries = entries;
+        }
+        if (studySets && !studySets.error) {
+            renderHistoryStudySets(studySets);
+        }
+
+        renderHistorySiteFilter();
+        renderHistory();
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+tabLoaders.history = loadHistory;
+
+/**
+ * Get the hostname of a page URL ('' if invalid)
+ */
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Fill the study set picker used for bulk sending
+ */
+function renderHistoryStudySets(studySets) {
+    const current = historyStudySet.value;
+    historyStudySet.length = 1;
+    studySets.forEach(set => {
+        historyStudySet.add(new Option(set.title, set.id));
+    });
+    historyStudySet.value = current;
+}
+
+/**
+ * Fill the site filter with every site present in the history
+ */
+function renderHistorySiteFilter() {
+    const current = historySite.value;
+    const sites = [...new Set(historyEntries.map(entry => getHostname(entry.pageUrl)).filter(Boolean))].sort();
+
+    historySite.length = 1;
+    sites.forEach(site => historySite.add(new Option(site, site)));
+    historySite.value = sites.includes(current) ? current : '';
+}
+
+/**
+ * Apply search, date and site filters
+ */
+function getFilteredHistory() {
+    const query = historySearch.value.trim().toLowerCase();
+    const site = historySite.value;
+
+    let since = 0;
+    if (historyDate.value === 'today') {
+        since = new Date().setHours(0, 0, 0, 0);
+    } else if (historyDate.value !== 'all') {
+        since = Date.now() - parseInt(historyDate.value) * 24 * 60 * 60 * 1000;
+    }
+
+    return historyEntries.filter(entry => {
+        if (entry.timestamp < since) return false;
+        if (site && getHostname(entry.pageUrl) !== site) return false;
+        if (!query) return true;
+
+        return [entry.term, entry.result.meaning, entry.result.vnMeaning, entry.sentence, entry.pageTitle]
+            .some(value => value && value.toLowerCase().includes(query));
+    });
+}
+
+/**
+ * Render the filtered history list
+ */
+function renderHistory() {
+    const entries = getFilteredHistory();
+    historyList.innerHTML = '';
+    historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+    historyEmpty.textContent = historyEntries.length === 0 ? 'Chưa có lịch sử tra cứu' : 'Không có kết quả phù hợp';
+
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'history-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedHistoryIds.has(entry.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedHistoryIds.add(entry.id);
+            } else {
+                selectedHistoryIds.delete(entry.id);
+            }
+            updateHistorySelection();
+        });
+
+        const details = document.createElement('div');
+        details.className = 'history-details';
+
+        const term = document.createElement('div');
+        term.className = 'history-term';
+        term.textContent = entry.result.word || entry.term;
+
+        const meaning = document.createElement('div');
+        meaning.className = 'history-meaning';
+        meaning.textContent = entry.result.meaning || entry.result.vnMeaning || '';
+
+        details.append(term, meaning);
+
+        if (entry.sentence) {
+            const sentence = document.createElement('div');
+            sentence.className = 'history-sentence';
+            sentence.textContent = entry.sentence;
+            details.appendChild(sentence);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const time = new Date(entry.timestamp).toLocaleString('vi-VN');
+        const site = getHostname(entry.pageUrl);
+        if (site) {
+            const link = document.createElement('a');
+            link.href = entry.pageUrl;
+            link.target = '_blank';
+            link.title = entry.pageTitle || entry.pageUrl;
+            link.textContent = site;
+            meta.append(`${time} · `, link);
+        } else {
+            meta.textContent = time;
+        }
+        details.appendChild(meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'outbox-btn outbox-btn-danger';
+        deleteBtn.textContent = 'Xóa';
+        deleteBtn.addEventListener('click', () => deleteHistory([entry.id]));
+
+        li.append(checkbox, details, deleteBtn);
+        historyList.appendChild(li);
+    });
+
+    updateHistorySelection();
+}
+
+/**
+ * Sync the select-all checkbox, counter and bulk buttons with the selection
+ */
+function updateHistorySelection() {
+    const visibleIds = getFilteredHistory().map(entry => entry.id);
+    const selectedVisible = visibleIds.filter(id => selectedHistoryIds.has(id));
+
+    historySelectAll.checked = visibleIds.length > 0 && selectedVisible.length === visibleIds.length;
+    historySelectedCount.textContent = `${selectedVisible.length} đã chọn`;
+    historySendBtn.disabled = selectedVisible.length === 0 || !historyStudySet.value;
+    historyDeleteBtn.disabled = selectedVisible.length === 0;
+}
+
+/**
+ * Ids that are both selected and visible with the current filters
+ */
+function getSelectedVisibleIds() {
+    return getFilteredHistory().map(entry => entry.id).filter(id => selectedHistoryIds.has(id));
+}
+
+/**
+ * Delete history entries and re-render
+ */
+async function deleteHistory(ids) {
+    const entries = await chrome.runtime.sendMessage({ action: 'deleteHistoryEntries', ids });
+    if (entries && !entries.error) {
+        historyEntries = entries;
+        ids.forEach(id => selectedHistoryIds.delete(id));
+        renderHistorySiteFilter();
+        renderHistory();
+    }
+}
+
+/**
+ * Show the result of a bulk action under the list
+ */
+function showHistoryStatus(message, isError = false) {
+    historyStatus.textContent = message;
+    historyStatus.classList.toggle('error', isError);
+}
+
+historySearch.addEventListener('input', renderHistory);
+historyDate.addEventListener('change', renderHistory);
+historySite.addEventListener('change', renderHistory);
+historyStudySet.addEventListener('change', updateHistorySelection);
+
+historySelectAll.addEventListener('change', () => {
+    getFilteredHistory().forEach(entry => {
+        if (historySelectAll.checked) {
+            selectedHistoryIds.add(entry.id);
+        } else {
+            selectedHistoryIds.delete(entry.id);
+        }
+    });
+    renderHistory();
+});
+
+historyDeleteBtn.addEventListener('click', () => {
+    const ids = getSelectedVisibleIds();
+    if (ids.length > 0 && confirm(`Xóa ${ids.length} mục khỏi lịch sử?`)) {
+        deleteHistory(ids);
+    }
+});
+
+historySendBtn.addEventListener('click', async () => {
+    const ids = getSelectedVisibleIds();
+    const studySetId = parseInt(historyStudySet.value);
+    if (ids.length === 0 || !studySetId) return;
+
+    historySendBtn.disabled = true;
+    showHistoryStatus(`Đang gửi ${ids.length} từ...`);
+
+    try {
+        const summary = await chrome.runtime.sendMessage({ action: 'sendHistoryToStudySet', ids, studySetId });
+        if (summary.error) throw new Error(summary.error);
+
+        const parts = [`Đã lưu ${summary.saved} từ`];
+        if (summary.queued > 0) parts.push(`${summary.queued} từ đang chờ kết nối`);
+        if (summary.failed.length > 0) {
+            parts.push(`lỗi ${summary.failed.length} từ (${summary.failed.map(f => f.term).join(', ')})`);
+        }
+        showHistoryStatus(parts.join(', '), summary.failed.length > 0);
+
+        ids.forEach(id => selectedHistoryIds.delete(id));
+        renderHistory();
+    } catch (error) {
+        console.error('Error sending history to study set:', error);
+        showHistoryStatus(error.message || 'Không thể gửi vào bộ học liệu', true);
+        updateHistorySelection();
+    }
+});
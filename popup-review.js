@@ -0,0 +1,165 @@
+/**
+ * Popup Review Tab for Lingora Chrome Extension
+ * Spaced repetition session over the user's flashcards (scheduling lives in review.js)
+ */
+
+// Review elements
+const reviewSummary = document.getElementById('review-summary');
+const reviewCard = document.getElementById('review-card');
+const reviewSet = document.getElementById('review-set');
+const reviewFront = document.getElementById('review-front');
+const reviewBack = document.getElementById('review-back');
+const reviewImage = document.getElementById('review-image');
+const reviewMeaning = document.getElementById('review-meaning');
+const reviewExample = document.getElementById('review-example');
+const reviewShowBtn = document.getElementById('review-show-btn');
+const reviewGrades = document.getElementById('review-grades');
+const reviewEmpty = document.getElementById('review-empty');
+
+let reviewSession = [];
+let reviewedCount = 0;
+let reviewGrading = false;
+
+/**
+ * Load the cards due now and start the session
+ */
+async function loadReview() {
+    showReviewMessage('Đang tải thẻ cần ôn...');
+    reviewSummary.textContent = '';
+
+    try {
+        const session = await chrome.runtime.sendMessage({ action: 'getReviewSession' });
+        if (session.error) throw new Error(session.error);
+
+        reviewSession = session.cards;
+        reviewedCount = 0;
+        reviewSummary.textContent = `${session.dueCount} thẻ đến hạn · ${session.newCount} thẻ mới`;
+        renderReviewCard();
+    } catch (error) {
+        console.error('Error loading review session:', error);
+        showReviewMessage(error.message || 'Không thể tải thẻ ôn tập');
+    }
+}
+
+tabLoaders.review = loadReview;
+
+/**
+ * Show a message instead of a card (loading, errors, session finished)
+ */
+function showReviewMessage(message) {
+    reviewCard.style.display = 'none';
+    reviewShowBtn.style.display = 'none';
+    reviewGrades.style.display = 'none';
+    reviewEmpty.style.display = 'block';
+    reviewEmpty.textContent = message;
+}
+
+/**
+ * Human readable interval for a grade button
+ */
+function formatReviewInterval(days) {
+    if (days === 0) return '< 10 phút';
+    if (days < 30) return `${days} ngày`;
+    if (days < 365) return `${Math.round(days / 30)} tháng`;
+    return `${(days / 365).toFixed(1)} năm`;
+}
+
+/**
+ * Show the front of the next card in the session
+ */
+function renderReviewCard() {
+    const card = reviewSession[0];
+    if (!card) {
+        showReviewMessage(reviewedCount > 0
+            ? `Hoàn thành! Bạn đã ôn ${reviewedCount} thẻ.`
+            : 'Không có thẻ nào cần ôn lúc này.');
+        return;
+    }
+
+    reviewEmpty.style.display = 'none';
+    reviewCard.style.display = 'block';
+    reviewBack.style.display = 'none';
+    reviewGrades.style.display = 'none';
+    reviewShowBtn.style.display = 'flex';
+
+    reviewSet.textContent = card.isNew ? `${card.studySetTitle} · Mới` : card.studySetTitle;
+    reviewFront.textContent = card.frontText;
+    reviewMeaning.textContent = card.backText || '';
+    reviewExample.textContent = card.example || '';
+
+    // Image URLs come from the backend; only load them over https
+    if (card.imageUrl && /^https:\/\//i.test(card.imageUrl)) {
+        reviewImage.src = card.imageUrl;
+        reviewImage.style.display = 'block';
+    } else {
+        reviewImage.removeAttribute('src');
+        reviewImage.style.display = 'none';
+    }
+
+    reviewGrades.querySelectorAll('.review-grade').forEach(btn => {
+        btn.querySelector('.review-interval').textContent = formatReviewInterval(card.intervals[btn.dataset.grade]);
+    });
+}
+
+/**
+ * Reveal the back of the current card and the grade buttons
+ */
+function showReviewAnswer() {
+    if (!reviewSession[0]) return;
+
+    reviewBack.style.display = 'block';
+    reviewShowBtn.style.display = 'none';
+    reviewGrades.style.display = 'grid';
+}
+
+/**
+ * Grade the current card and move on
+ */
+async function gradeCurrentCard(grade) {
+    const card = reviewSession[0];
+    if (!card || reviewGrading) return;
+
+    reviewGrading = true;
+    try {
+        const scheduled = await chrome.runtime.sendMessage({
+            action: 'gradeReviewCard',
+            flashcardId: card.flashcardId,
+            grade
+        });
+        if (scheduled.error) throw new Error(scheduled.error);
+
+        reviewSession.shift();
+        reviewedCount += 1;
+
+        // Forgotten cards come back at the end of this session
+        if (grade === 'again') {
+            reviewSession.push({ ...card, isNew: false, intervals: scheduled.intervals });
+        }
+
+        renderReviewCard();
+    } catch (error) {
+        console.error('Error grading card:', error);
+        reviewSummary.textContent = error.message || 'Không thể lưu kết quả ôn tập';
+    } finally {
+        reviewGrading = false;
+    }
+}
+
+reviewShowBtn.addEventListener('click', showReviewAnswer);
+
+reviewGrades.querySelectorAll('.review-grade').forEach(btn => {
+    btn.addEventListener('click', () => gradeCurrentCard(btn.dataset.grade));
+});
+
+// Keyboard: Space reveals the answer, 1-4 grade it
+document.addEventListener('keydown', (e) => {
+    const panel = document.getElementById('tab-review');
+    if (panel.style.display === 'none' || e.target.matches('input, select, textarea')) return;
+
+    if (e.key === ' ' && reviewShowBtn.style.display !== 'none') {
+        e.preventDefault();
+        showReviewAnswer();
+    } else if (['1', '2', '3', '4'].includes(e.key) && reviewGrades.style.display !== 'none') {
+        gradeCurrentCard(['again', 'hard', 'good', 'easy'][parseInt(e.key) - 1]);
+    }
+});
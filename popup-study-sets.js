@@ -0,0 +1,198 @@
+/**
+ * Popup Study Sets Tab for Lingora Chrome Extension
+ * List the user's study sets and create, rename, change visibility or delete them
+ */
+
+// Study set elements
+const setsCreateForm = document.getElementById('sets-create-form');
+const setsCreateTitle = document.getElementById('sets-create-title');
+const setsCreateVisibility = document.getElementById('sets-create-visibility');
+const setsCreateBtn = document.getElementById('sets-create-btn');
+const setsList = document.getElementById('sets-list');
+const setsEmpty = document.getElementById('sets-empty');
+const setsStatus = document.getElementById('sets-status');
+
+const VISIBILITY_LABELS = {
+    PRIVATE: 'Riêng tư',
+    PUBLIC: 'Công khai'
+};
+
+/**
+ * Load study sets with card counts
+ */
+async function loadStudySets() {
+    setsEmpty.style.display = 'block';
+    setsEmpty.textContent = 'Đang tải...';
+
+    try {
+        const studySets = await chrome.runtime.sendMessage({ action: 'getStudySetSummaries' });
+        if (studySets.error) throw new Error(studySets.error);
+
+        renderStudySets(studySets);
+        studySetsCount.textContent = studySets.length;
+    } catch (error) {
+        console.error('Error loading study sets:', error);
+        setsList.innerHTML = '';
+        setsEmpty.textContent = error.message || 'Không thể tải bộ học liệu';
+    }
+}
+
+tabLoaders.sets = loadStudySets;
+
+/**
+ * Show the result of an action under the list
+ */
+function showSetsStatus(message, isError = false) {
+    setsStatus.textContent = message;
+    setsStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Run a study set action, then reload the list
+ * @returns {Promise<boolean>} Whether the action succeeded
+ */
+async function runStudySetAction(message, successText) {
+    try {
+        const result = await chrome.runtime.sendMessage(message);
+        if (result && result.error) throw new Error(result.error);
+
+        showSetsStatus(result && result.queued ? `${successText} (đang chờ kết nối)` : successText);
+        await loadStudySets();
+        return true;
+    } catch (error) {
+        console.error('Study set action failed:', error);
+        showSetsStatus(error.message || 'Thao tác thất bại', true);
+        return false;
+    }
+}
+
+/**
+ * Render the study set list
+ */
+function renderStudySets(studySets) {
+    setsList.innerHTML = '';
+    setsEmpty.style.display = studySets.length === 0 ? 'block' : 'none';
+    setsEmpty.textContent = 'Bạn chưa có bộ học liệu nào';
+
+    studySets.forEach(set => {
+        const li = document.createElement('li');
+        li.className = 'set-item';
+
+        const header = document.createElement('div');
+        header.className = 'set-header';
+
+        const title = document.createElement('div');
+        title.className = 'set-title';
+        title.textContent = set.title;
+        title.title = set.title;
+
+        const visibility = document.createElement('span');
+        visibility.className = `set-visibility${set.visibility === 'PUBLIC' ? ' public' : ''}`;
+        visibility.textContent = VISIBILITY_LABELS[set.visibility] || set.visibility || VISIBILITY_LABELS.PRIVATE;
+
+        header.append(title, visibility);
+
+        const meta = document.createElement('div');
+        meta.className = 'set-meta';
+        const parts = [`${set.flashcardCount} thẻ`];
+        if (set.updatedAt) {
+            parts.push(`cập nhật ${new Date(set.updatedAt).toLocaleDateString('vi-VN')}`);
+        }
+        meta.textContent = parts.join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'set-actions';
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'outbox-btn';
+        renameBtn.textContent = 'Đổi tên';
+        renameBtn.addEventListener('click', () => startRename(header, title, set));
+
+        const nextVisibility = set.visibility === 'PUBLIC' ? 'PRIVATE' : 'PUBLIC';
+        const visibilityBtn = document.createElement('button');
+        visibilityBtn.className = 'outbox-btn';
+        visibilityBtn.textContent = nextVisibility === 'PUBLIC' ? 'Công khai' : 'Đặt riêng tư';
+        visibilityBtn.addEventListener('click', () => {
+            visibilityBtn.disabled = true;
+            runStudySetAction(
+                { action: 'updateStudySet', studySetId: set.id, studySetData: { visibility: nextVisibility } },
+                `Đã chuyển "${set.title}" sang ${VISIBILITY_LABELS[nextVisibility].toLowerCase()}`
+            ).then(ok => {
+                visibilityBtn.disabled = ok;
+            });
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'outbox-btn outbox-btn-danger';
+        deleteBtn.textContent = 'Xóa';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Xóa bộ "${set.title}" và ${set.flashcardCount} thẻ trong đó? Không thể hoàn tác.`)) return;
+            deleteBtn.disabled = true;
+            runStudySetAction(
+                { action: 'deleteStudySet', studySetId: set.id },
+                `Đã xóa "${set.title}"`
+            ).then(ok => {
+                deleteBtn.disabled = ok;
+            });
+        });
+
+        actions.append(renameBtn, visibilityBtn, deleteBtn);
+        li.append(header, meta, actions);
+        setsList.appendChild(li);
+    });
+}
+
+/**
+ * Replace a set's title with an input; Enter saves, Escape cancels
+ */
+function startRename(header, title, set) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'set-rename-input';
+    input.value = set.title;
+    input.maxLength = 100;
+    header.replaceChild(input, title);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+
+        const newTitle = input.value.trim();
+        if (!save || !newTitle || newTitle === set.title) {
+            header.replaceChild(title, input);
+            return;
+        }
+
+        input.disabled = true;
+        runStudySetAction(
+            { action: 'updateStudySet', studySetId: set.id, studySetData: { title: newTitle } },
+            `Đã đổi tên thành "${newTitle}"`
+        ).then(ok => {
+            if (!ok) header.replaceChild(title, input);
+        });
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+setsCreateForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const title = setsCreateTitle.value.trim();
+    if (!title) return;
+
+    setsCreateBtn.disabled = true;
+    const created = await runStudySetAction(
+        { action: 'createStudySet', title, visibility: setsCreateVisibility.value },
+        `Đã tạo "${title}"`
+    );
+    if (created) setsCreateTitle.value = '';
+    setsCreateBtn.disabled = false;
+});
@@ -10,32 +10,54 @@ const loginForm = document.getElementById('login-form');
 const loginBtn = document.getElementById('login-btn');
 const logoutBtn = document.getElementById('logout-btn');
 const loginError = document.getElementById('login-error');
+const googleLoginBtn = document.getElementById('google-login-btn');
 
 // User info elements
 const userName = document.getElementById('user-name');
 const userEmail = document.getElementById('user-email');
 const studySetsCount = document.getElementById('study-sets-count');
 
+// Tab elements
+const tabButtons = document.querySelectorAll('.tab-btn');
+const tabPanels = document.querySelectorAll('.tab-panel');
+
+// Loaders run each time a tab is shown, registered by the popup-*.js tab scripts
+const tabLoaders = {};
+
+// Outbox elements
+const outboxSection = document.getElementById('outbox-section');
+const outboxList = document.getElementById('outbox-list');
+const outboxCount = document.getElementById('outbox-count');
+
+// Settings elements
+const highlightSavedToggle = document.getElementById('highlight-saved-toggle');
+const pauseToggle = document.getElementById('pause-toggle');
+const siteToggleRow = document.getElementById('site-toggle-row');
+const siteToggle = document.getElementById('site-toggle');
+const siteHostname = document.getElementById('site-hostname');
+const sourceLangSelect = document.getElementById('source-lang-select');
+const targetLangSelect = document.getElementById('target-lang-select');
+
 // Update footer links with config URLs when DOM loads
-document.addEventListener('DOMContentLoaded', () => {
-    // Wait a bit to ensure config.js is loaded
-    setTimeout(() => {
-        if (!window.LINGORA_CONFIG) {
-            console.warn('Lingora: Config not loaded yet, using default URLs');
-            return;
-        }
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!window.LINGORA_CONFIG) {
+        console.warn('Lingora: Config not loaded yet, using default URLs');
+        return;
+    }
 
-        const registerLink = document.querySelector('a[href*="get-started"]');
-        const studySetsLink = document.querySelector('.footer-text a[href*="study-sets"]');
+    // Wait for the environment chosen on the options page
+    await window.LINGORA_CONFIG.ready;
 
-        if (registerLink) {
-            registerLink.href = window.LINGORA_CONFIG.getWebAppUrl('/get-started');
-        }
+    const registerLink = document.querySelector('a[href*="get-started"]');
+    const studySetsLink = document.querySelector('.footer-text a[href*="study-sets"]');
 
-        if (studySetsLink) {
-            studySetsLink.href = window.LINGORA_CONFIG.getWebAppUrl('/study-sets');
-        }
-    }, 100); // Small delay to ensure config.js loads first
+    if (registerLink) {
+        registerLink.href = window.LINGORA_CONFIG.getWebAppUrl('/get-started');
+    }
+
+    if (studySetsLink) {
+        studySetsLink.href = window.LINGORA_CONFIG.getWebAppUrl('/study-sets');
+    }
 });
 
 // Password toggle functionality
@@ -67,10 +89,10 @@ async function init() {
         const authCheck = await chrome.runtime.sendMessage({ action: 'checkAuth' });
 
         if (authCheck.isAuthenticated) {
-            await loadUserData();
-            showMainView();
+            await showLoggedIn();
         } else {
             showLoginView();
+            await showLastGoogleSignInError();
         }
     } catch (e) {
         if (e.message.includes('Extension context invalidated')) {
@@ -81,6 +103,30 @@ async function init() {
     }
 }
 
+/**
+ * Load everything the main view shows and switch to it
+ * Used on open when already logged in and after each way of logging in
+ */
+async function showLoggedIn() {
+    await loadUserData();
+    await loadOutbox();
+    await loadSettings();
+    await loadSiteSettings();
+    showMainView();
+}
+
+/**
+ * Show the error of a Google sign-in that ended while the popup was closed
+ * (the Google window closes the popup), then forget it
+ */
+async function showLastGoogleSignInError() {
+    const { googleSignInError } = await chrome.storage.session.get(['googleSignInError']);
+    if (googleSignInError) {
+        showError(googleSignInError);
+        await chrome.storage.session.remove(['googleSignInError']);
+    }
+}
+
 /**
  * Show login view
  */
@@ -97,6 +143,24 @@ function showMainView() {
     mainView.style.display = 'block';
 }
 
+/**
+ * Switch the main view to another tab
+ */
+function showTab(name) {
+    tabButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tab === name));
+    tabPanels.forEach(panel => {
+        panel.style.display = panel.id === `tab-${name}` ? 'block' : 'none';
+    });
+
+    if (tabLoaders[name]) {
+        tabLoaders[name]();
+    }
+}
+
+tabButtons.forEach(btn => {
+    btn.addEventListener('click', () => showTab(btn.dataset.tab));
+});
+
 /**
  * Load user data
  */
@@ -121,6 +185,150 @@ async function loadUserData() {
     }
 }
 
+/**
+ * Load and render operations waiting in the background outbox
+ */
+async function loadOutbox() {
+    try {
+        const items = await chrome.runtime.sendMessage({ action: 'getOutbox' });
+        if (items && !items.error) {
+            renderOutbox(items);
+        }
+    } catch (error) {
+        console.error('Error loading outbox:', error);
+    }
+}
+
+/**
+ * Render queued operations with retry / discard actions
+ */
+function renderOutbox(items) {
+    outboxSection.style.display = items.length > 0 ? 'block' : 'none';
+    outboxCount.textContent = items.length;
+    outboxList.innerHTML = '';
+
+    const typeLabels = {
+        addFlashcard: 'Flashcard',
+        createStudySet: 'Bộ học liệu',
+        uploadImage: 'Hình ảnh'
+    };
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'outbox-item';
+
+        const details = document.createElement('div');
+        details.className = 'outbox-details';
+
+        const title = document.createElement('div');
+        title.className = 'outbox-title';
+        title.textContent = `${typeLabels[item.type] || item.type}: ${item.label}`;
+        details.appendChild(title);
+
+        const status = document.createElement('div');
+        status.className = 'outbox-status';
+        if (Object.keys(item.dependsOn).length > 0) {
+            status.textContent = 'Đang chờ mục trước hoàn tất';
+        } else if (item.lastError) {
+            status.textContent = `Lỗi: ${item.lastError}`;
+        } else {
+            status.textContent = 'Đang chờ kết nối';
+        }
+        details.appendChild(status);
+
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'outbox-btn';
+        retryBtn.textContent = 'Thử lại';
+        retryBtn.addEventListener('click', async () => {
+            retryBtn.disabled = true;
+            const updated = await chrome.runtime.sendMessage({ action: 'retryOutboxItem', id: item.id });
+            if (updated && !updated.error) renderOutbox(updated);
+        });
+
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'outbox-btn outbox-btn-danger';
+        discardBtn.textContent = 'Bỏ';
+        discardBtn.addEventListener('click', async () => {
+            const updated = await chrome.runtime.sendMessage({ action: 'discardOutboxItem', id: item.id });
+            if (updated && !updated.error) renderOutbox(updated);
+        });
+
+        li.append(details, retryBtn, discardBtn);
+        outboxList.appendChild(li);
+    });
+}
+
+/**
+ * Load extension settings into the overview toggles
+ */
+async function loadSettings() {
+    const { highlightSavedWords } = await chrome.storage.local.get(['highlightSavedWords']);
+    highlightSavedToggle.checked = !!highlightSavedWords;
+
+    const languages = window.LINGORA_LANGUAGES;
+    sourceLangSelect.length = 1;
+    targetLangSelect.length = 0;
+    languages.languages.forEach(lang => {
+        sourceLangSelect.add(new Option(lang.name, lang.code));
+        targetLangSelect.add(new Option(lang.name, lang.code));
+    });
+
+    const pair = await languages.getLanguagePair();
+    sourceLangSelect.value = pair.sourceLang;
+    targetLangSelect.value = pair.targetLang;
+}
+
+/**
+ * Load the global pause and the on/off state for the site in the active tab
+ */
+async function loadSiteSettings() {
+    const siteSettingsApi = window.LINGORA_SITE_SETTINGS;
+    const settings = await siteSettingsApi.getSettings();
+    pauseToggle.checked = settings.paused;
+
+    // Only regular web pages have a content script to configure
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const hostname = tab && tab.url && /^https?:/.test(tab.url) ? new URL(tab.url).hostname : '';
+
+    siteToggleRow.style.display = hostname ? 'flex' : 'none';
+    siteToggleRow.classList.toggle('disabled', settings.paused);
+    siteToggle.disabled = settings.paused;
+    siteHostname.textContent = hostname;
+    siteToggle.checked = !!hostname && siteSettingsApi.isSiteEnabled({ ...settings, paused: false }, hostname);
+}
+
+pauseToggle.addEventListener('change', async () => {
+    await window.LINGORA_SITE_SETTINGS.setSettings({ paused: pauseToggle.checked });
+    loadSiteSettings();
+});
+
+siteToggle.addEventListener('change', async () => {
+    await window.LINGORA_SITE_SETTINGS.setSiteEnabled(siteHostname.textContent, siteToggle.checked);
+    loadSiteSettings();
+});
+
+// The same setting is used by the switcher in the dictionary popup
+[sourceLangSelect, targetLangSelect].forEach(select => {
+    select.addEventListener('change', () => {
+        window.LINGORA_LANGUAGES.setLanguagePair({
+            sourceLang: sourceLangSelect.value,
+            targetLang: targetLangSelect.value
+        });
+    });
+});
+
+// Content scripts watch storage, so open tabs pick the change up immediately
+highlightSavedToggle.addEventListener('change', () => {
+    chrome.storage.local.set({ highlightSavedWords: highlightSavedToggle.checked });
+});
+
+// Keep the outbox list live while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.outbox) {
+        renderOutbox(changes.outbox.newValue || []);
+    }
+});
+
 /**
  * Handle login form submission
  */
@@ -151,8 +359,7 @@ loginForm.addEventListener('submit', async (e) => {
         }
 
         // Login successful
-        await loadUserData();
-        showMainView();
+        await showLoggedIn();
 
         // Clear form
         loginForm.reset();
@@ -165,6 +372,43 @@ loginForm.addEventListener('submit', async (e) => {
     }
 });
 
+// Google sign-in needs an OAuth client ID in config.js; without one the button stays hidden
+if (window.LINGORA_CONFIG.google.clientId) {
+    googleLoginBtn.style.display = 'flex';
+    document.getElementById('google-login-separator').style.display = 'flex';
+}
+
+/**
+ * Handle Google sign-in
+ * The OAuth window runs from the background, so login still completes if this popup closes
+ */
+googleLoginBtn.addEventListener('click', async () => {
+    const btnText = googleLoginBtn.querySelector('.btn-text');
+    googleLoginBtn.disabled = true;
+    loginBtn.disabled = true;
+    btnText.textContent = 'Đang chờ Google...';
+    hideError();
+
+    try {
+        const result = await chrome.runtime.sendMessage({ action: 'googleSignIn' });
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        await showLoggedIn();
+    } catch (error) {
+        console.error('Google login error:', error);
+        // Shown here already, so the next popup does not repeat it
+        chrome.storage.session.remove(['googleSignInError']);
+        showError(error.message || 'Đăng nhập với Google thất bại. Vui lòng thử lại.');
+    } finally {
+        googleLoginBtn.disabled = false;
+        loginBtn.disabled = false;
+        btnText.textContent = 'Đăng nhập với Google';
+    }
+});
+
 /**
  * Handle logout
  */
@@ -185,23 +429,22 @@ const openWebAppBtn = document.getElementById('open-webapp-btn');
 if (openWebAppBtn) {
     openWebAppBtn.addEventListener('click', async () => {
         try {
-            // Get current auth token
-            const authCheck = await chrome.runtime.sendMessage({ action: 'checkAuth' });
-
-            // Use centralized config to generate URL
-            const webAppUrl = window.LINGORA_CONFIG.getWebAppUrlWithSync(
-                '/study-sets',
-                authCheck.accessToken
-            );
-
-            // Open in new tab
-            chrome.tabs.create({ url: webAppUrl });
+            // The background adds a one-time handoff code and opens the tab
+            await chrome.runtime.sendMessage({ action: 'openWebApp', path: '/study-sets' });
         } catch (error) {
             console.error('Error opening web app:', error);
         }
     });
 }
 
+// Environment, site lists and trigger mode live on the options page
+document.querySelectorAll('.open-options-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+});
+
 /**
  * Set loading state
  */
@@ -0,0 +1,132 @@
+/**
+ * Pronunciation for Lingora Chrome Extension
+ * Plays the dictionary recording through the offscreen document, or speaks the
+ * word/phrase with chrome.tts (speechSynthesis in the offscreen document when
+ * chrome.tts has no voice for the language). Supports slow playback, stop and replay.
+ */
+
+const PRONUNCIATION_CONFIG = {
+    slowPlaybackRate: 0.7, // Recordings, pitch preserved
+    slowSpeechRate: 0.6,
+    maxSpeechLength: 500
+};
+
+// Last thing played, for "Phát lại": { url, text, lang, slow, source: 'recording'|'speech' }
+let lastPronunciation = null;
+
+/**
+ * Whether the offscreen document is open
+ */
+async function hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT']
+    });
+    return contexts.length > 0;
+}
+
+/**
+ * Send a message to the offscreen document, creating it first if needed
+ * Chrome closes an audio offscreen document after a while without sound
+ */
+async function sendToOffscreen(message) {
+    if (!(await hasOffscreenDocument())) {
+        await chrome.offscreen.createDocument({
+            url: 'offscreen.html',
+            reasons: ['AUDIO_PLAYBACK'],
+            justification: 'Play word pronunciation'
+        });
+    }
+    return chrome.runtime.sendMessage(message);
+}
+
+/**
+ * chrome.tts voice for a language, preferring the exact accent ("en-GB") over the language ("en")
+ * @returns {Promise<Object|null>}
+ */
+async function findTtsVoice(lang) {
+    if (!chrome.tts) return null;
+
+    const voices = await chrome.tts.getVoices();
+    const base = lang.split('-')[0].toLowerCase();
+    return voices.find(voice => voice.lang && voice.lang.toLowerCase() === lang.toLowerCase())
+        || voices.find(voice => voice.lang && voice.lang.split('-')[0].toLowerCase() === base)
+        || null;
+}
+
+/**
+ * Speak text with chrome.tts, or speechSynthesis in the offscreen document
+ */
+async function speakText(text, lang, slow) {
+    const rate = slow ? PRONUNCIATION_CONFIG.slowSpeechRate : 1;
+    const voice = await findTtsVoice(lang);
+
+    if (voice) {
+        await chrome.tts.speak(text, { voiceName: voice.voiceName, lang, rate });
+        return;
+    }
+
+    const result = await sendToOffscreen({ action: 'speakOffscreen', text, lang, rate });
+    if (!result || result.error) {
+        throw new Error((result && result.error) || 'Không có giọng đọc cho ngôn ngữ này');
+    }
+}
+
+/**
+ * Play a pronunciation: the recording when there is one, else speech
+ * A recording that fails to load falls back to speech too
+ * @param {Object} pronunciation
+ * @param {string} [pronunciation.url] - https recording
+ * @param {string} [pronunciation.text] - Word or phrase to speak
+ * @param {string} pronunciation.lang - BCP 47 tag of the voice ("en-US", "en-GB", "fr-FR")
+ * @param {boolean} pronunciation.slow
+ * @returns {Promise<{success: true, source: string}>}
+ */
+async function playPronunciation({ url, text, lang, slow }) {
+    await stopPronunciation();
+    const speech = (text || '').trim().slice(0, PRONUNCIATION_CONFIG.maxSpeechLength);
+
+    if (url) {
+        const result = await sendToOffscreen({
+            action: 'playAudioOffscreen',
+            url,
+            playbackRate: slow ? PRONUNCIATION_CONFIG.slowPlaybackRate : 1
+        });
+        if (result && !result.error) {
+            lastPronunciation = { url, text: speech, lang, slow, source: 'recording' };
+            return { success: true, source: 'recording' };
+        }
+        console.warn('Lingora: Recording could not be played, using speech', result && result.error);
+    }
+
+    if (!speech) throw new Error('Không có bản ghi âm cho từ này');
+
+    await speakText(speech, lang, slow);
+    lastPronunciation = { url, text: speech, lang, slow, source: 'speech' };
+    return { success: true, source: 'speech' };
+}
+
+/**
+ * Stop the recording or speech that is playing
+ */
+async function stopPronunciation() {
+    if (chrome.tts) {
+        chrome.tts.stop();
+    }
+    if (await hasOffscreenDocument()) {
+        await chrome.runtime.sendMessage({ action: 'stopAudioOffscreen' });
+    }
+}
+
+/**
+ * Play the last pronunciation again from the start
+ */
+async function replayPronunciation() {
+    if (!lastPronunciation) throw new Error('Chưa phát âm từ nào');
+
+    // The recording is still loaded unless Chrome closed the offscreen document meanwhile
+    if (lastPronunciation.source === 'recording' && await hasOffscreenDocument()) {
+        const result = await chrome.runtime.sendMessage({ action: 'replayAudioOffscreen' });
+        if (result && !result.error) return { success: true, source: 'recording' };
+    }
+    return playPronunciation(lastPronunciation);
+}
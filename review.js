@@ -0,0 +1,226 @@
+/**
+ * Spaced Repetition Review for Lingora Chrome Extension
+ * Schedules the user's flashcards with an SM-2 style algorithm. Scheduling state
+ * is kept locally per flashcard; the cards themselves come from the flashcard index.
+ */
+
+const REVIEW_CONFIG = {
+    storageKey: 'reviewState',
+    alarmName: 'lingora-review-due',
+    alarmPeriod: 30, // minutes between due count refreshes
+    newCardsPerDay: 20,
+    initialEase: 2.5,
+    minEase: 1.3,
+    relearnDelay: 10 * 60 * 1000 // "Again" shows the card again after 10 minutes
+};
+
+const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Serialize read-modify-write cycles on the stored review state
+let reviewQueue = Promise.resolve();
+
+/**
+ * Get the stored review state
+ * @returns {Promise<{cards: Object, newToday: {date: string, count: number}, dueCount: number}>}
+ */
+async function getReviewState() {
+    const result = await chrome.storage.local.get([REVIEW_CONFIG.storageKey]);
+    return {
+        cards: {},
+        newToday: { date: '', count: 0 },
+        dueCount: 0,
+        ...result[REVIEW_CONFIG.storageKey]
+    };
+}
+
+/**
+ * Run a mutation on the stored review state and persist the result
+ */
+function updateReviewState(mutator) {
+    const run = reviewQueue.then(async () => {
+        const state = await getReviewState();
+        const value = mutator(state);
+        await chrome.storage.local.set({ [REVIEW_CONFIG.storageKey]: state });
+        return value;
+    });
+    reviewQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Local calendar day, used to reset the new card allowance
+ */
+function reviewDay(timestamp = Date.now()) {
+    return new Date(timestamp).toDateString();
+}
+
+/**
+ * Compute the next scheduling state of a card after a grade
+ * New cards have no state yet (repetitions 0, interval 0)
+ * @param {Object|undefined} card - { repetitions, interval (days), ease, due }
+ * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+ */
+function scheduleReviewCard(card, grade, now = Date.now()) {
+    const repetitions = card ? card.repetitions : 0;
+    const interval = card ? card.interval : 0;
+    let ease = card ? card.ease : REVIEW_CONFIG.initialEase;
+
+    if (grade === 'again') {
+        ease = Math.max(REVIEW_CONFIG.minEase, ease - 0.2);
+        return { repetitions: 0, interval: 0, ease, due: now + REVIEW_CONFIG.relearnDelay, reviewedAt: now };
+    }
+
+    let nextInterval;
+    if (grade === 'hard') {
+        ease = Math.max(REVIEW_CONFIG.minEase, ease - 0.15);
+        nextInterval = Math.max(1, Math.round(interval * 1.2));
+    } else if (repetitions === 0) {
+        nextInterval = grade === 'easy' ? 4 : 1;
+    } else if (repetitions === 1) {
+        nextInterval = grade === 'easy' ? 8 : 6;
+    } else {
+        nextInterval = Math.round(interval * ease * (grade === 'easy' ? 1.3 : 1));
+    }
+
+    if (grade === 'easy') {
+        ease += 0.15;
+    }
+
+    return {
+        repetitions: repetitions + 1,
+        interval: nextInterval,
+        ease,
+        due: now + nextInterval * DAY_MS,
+        reviewedAt: now
+    };
+}
+
+/**
+ * Every card in the user's study sets, once per flashcard
+ * @param {Object} [indexOptions] - Passed to getFlashcardIndex
+ */
+async function listReviewCards(indexOptions) {
+    const index = await getFlashcardIndex(indexOptions);
+    const cards = new Map();
+
+    index.entries.forEach(entries => {
+        entries.forEach(entry => {
+            if (!cards.has(entry.flashcardId)) cards.set(entry.flashcardId, entry);
+        });
+    });
+
+    return Array.from(cards.values());
+}
+
+/**
+ * Split cards into due reviews and new cards still allowed today
+ */
+function selectDueCards(cards, state, now = Date.now()) {
+    const due = cards
+        .filter(card => state.cards[card.flashcardId] && state.cards[card.flashcardId].due <= now)
+        .sort((a, b) => state.cards[a.flashcardId].due - state.cards[b.flashcardId].due);
+
+    const introducedToday = state.newToday.date === reviewDay(now) ? state.newToday.count : 0;
+    const allowance = Math.max(0, REVIEW_CONFIG.newCardsPerDay - introducedToday);
+    const fresh = cards.filter(card => !state.cards[card.flashcardId]).slice(0, allowance);
+
+    return { due, fresh };
+}
+
+/**
+ * Build a review session: due cards first (most overdue first), then new cards
+ * @returns {Promise<{cards: Array, dueCount: number, newCount: number}>}
+ */
+async function getReviewSession() {
+    const [cards, state] = await Promise.all([listReviewCards(), getReviewState()]);
+    const { due, fresh } = selectDueCards(cards, state);
+
+    const withSchedule = card => ({
+        ...card,
+        isNew: !state.cards[card.flashcardId],
+        intervals: previewReviewIntervals(state.cards[card.flashcardId])
+    });
+
+    await setReviewDueCount(due.length);
+
+    return {
+        cards: [...due, ...fresh].map(withSchedule),
+        dueCount: due.length,
+        newCount: fresh.length
+    };
+}
+
+/**
+ * Intervals (in days) each grade would schedule next, for the labels on the grade buttons
+ */
+function previewReviewIntervals(card) {
+    return Object.fromEntries(REVIEW_GRADES.map(grade => [grade, scheduleReviewCard(card, grade).interval]));
+}
+
+/**
+ * Record a grade for a card and reschedule it
+ * @returns {Promise<Object>} The card's new scheduling state and next intervals
+ */
+async function gradeReviewCard(flashcardId, grade) {
+    if (!REVIEW_GRADES.includes(grade)) {
+        throw new Error(`Unknown review grade: ${grade}`);
+    }
+
+    const scheduled = await updateReviewState(state => {
+        const previous = state.cards[flashcardId];
+
+        if (!previous) {
+            const today = reviewDay();
+            state.newToday = state.newToday.date === today
+                ? { date: today, count: state.newToday.count + 1 }
+                : { date: today, count: 1 };
+        }
+
+        state.cards[flashcardId] = scheduleReviewCard(previous, grade);
+        return state.cards[flashcardId];
+    });
+
+    refreshReviewDueCount();
+    return { ...scheduled, intervals: previewReviewIntervals(scheduled) };
+}
+
+/**
+ * Store the number of cards due now and show it on the badge
+ * Only reviews that are due count; new cards waiting to be introduced do not
+ */
+async function setReviewDueCount(count) {
+    await updateReviewState(state => {
+        state.dueCount = count;
+    });
+    await updateBadge();
+}
+
+/**
+ * Recount due cards (alarm, startup, after grading)
+ * Counts from the index already built, however old, so the alarm does not refetch
+ * every study set; the index is only built when there is none yet
+ */
+async function refreshReviewDueCount() {
+    if (!(await getAuthToken())) return;
+
+    try {
+        const [cards, state] = await Promise.all([listReviewCards({ allowStale: true }), getReviewState()]);
+        const { due } = selectDueCards(cards, state);
+        await setReviewDueCount(due.length);
+    } catch (error) {
+        // Logged out or offline: keep the last known count
+        console.warn('Lingora: Could not refresh due review count', error);
+    }
+}
+
+/**
+ * Make sure the periodic due count refresh is scheduled
+ */
+async function scheduleReviewAlarm() {
+    const existing = await chrome.alarms.get(REVIEW_CONFIG.alarmName);
+    if (!existing) {
+        await chrome.alarms.create(REVIEW_CONFIG.alarmName, { periodInMinutes: REVIEW_CONFIG.alarmPeriod });
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Site Settings for Lingora Chrome Extension
+ * Global pause, per-site allow/block lists, how a lookup is triggered on pages
+ * and the minimum word level the lookup button is offered for.
+ * Shared by the content scripts, popup and options page.
+ */
+
+const SITE_SETTINGS = {
+    storageKey: 'siteSettings',
+
+    defaults: {
+        paused: false,
+        // 'all': everywhere except blocked sites; 'allowList': only on allowed sites
+        siteMode: 'all',
+        allowList: [],
+        blockList: [],
+        // 'selection': any selection, 'dblclick': double-click only, 'modifier': selection with modifierKey held
+        triggerMode: 'selection',
+        modifierKey: 'alt',
+        // Only offer single English words at or above this CEFR level ('' for every word)
+        minLevel: ''
+    },
+
+    levels: ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'],
+
+    modifierKeys: [
+        { value: 'alt', name: 'Alt' },
+        { value: 'ctrl', name: 'Ctrl' },
+        { value: 'shift', name: 'Shift' },
+        { value: 'meta', name: 'Cmd / Win' }
+    ],
+
+    // Stored settings, filled with defaults
+    getSettings: async function () {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return { ...this.defaults, ...result[this.storageKey] };
+    },
+
+    // Persist part or all of the settings
+    setSettings: async function (settings) {
+        const current = await this.getSettings();
+        const updated = { ...current, ...settings };
+        await chrome.storage.local.set({ [this.storageKey]: updated });
+        return updated;
+    },
+
+    /**
+     * Normalize user input ("https://www.Example.com/path", "*.example.com") to a hostname
+     * @returns {string} Hostname, or '' if the input is not usable
+     */
+    normalizeHost: function (value) {
+        const trimmed = (value || '').trim().toLowerCase().replace(/^\*\./, '');
+        if (!trimmed) return '';
+
+        try {
+            const url = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`);
+            return url.hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    // A list entry matches the site itself and its subdomains
+    matchesHost: function (hostname, entry) {
+        const host = hostname.toLowerCase().replace(/^www\./, '');
+        return host === entry || host.endsWith(`.${entry}`);
+    },
+
+    // Whether lookups should be offered automatically on a site
+    isSiteEnabled: function (settings, hostname) {
+        if (settings.paused) return false;
+
+        const inList = list => list.some(entry => this.matchesHost(hostname, entry));
+        if (inList(settings.blockList)) return false;
+        return settings.siteMode === 'allowList' ? inList(settings.allowList) : true;
+    },
+
+    /**
+     * Turn the extension on or off for one site, using the list that matters in the current mode
+     */
+    setSiteEnabled: async function (hostname, enabled) {
+        const settings = await this.getSettings();
+        const host = this.normalizeHost(hostname);
+        if (!host) return settings;
+
+        const without = list => list.filter(entry => !this.matchesHost(host, entry));
+        let { allowList, blockList } = settings;
+
+        if (enabled) {
+            blockList = without(blockList);
+            if (settings.siteMode === 'allowList' && !this.isSiteEnabled({ ...settings, paused: false, blockList }, host)) {
+                allowList = [...allowList, host];
+            }
+        } else {
+            blockList = [...without(blockList), host];
+        }
+
+        return this.setSettings({ allowList, blockList });
+    },
+
+    // Whether a word's level passes the minimum level; words without a known level always do
+    meetsMinLevel: function (settings, level) {
+        if (!settings.minLevel || !level) return true;
+        return this.levels.indexOf(level) >= this.levels.indexOf(settings.minLevel);
+    },
+
+    // Whether the modifier chosen for 'modifier' trigger mode is held in an event
+    isModifierHeld: function (settings, event) {
+        return !!event[`${settings.modifierKey}Key`];
+    }
+};
+
+// Make SITE_SETTINGS available globally (content scripts, popup and options page)
+if (typeof globalThis !== 'undefined') {
+    globalThis.LINGORA_SITE_SETTINGS = SITE_SETTINGS;
+}
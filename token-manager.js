@@ -0,0 +1,112 @@
+/**
+ * Token Manager for Lingora Chrome Extension
+ * Refreshes the access token for the whole background: parallel 401s share one
+ * refresh request, and an alarm renews the token shortly before its JWT expiry
+ */
+
+const TOKEN_CONFIG = {
+    alarmName: 'lingora-token-renewal',
+    renewBefore: 2 * 60 * 1000 // Renew 2 minutes before the token expires
+};
+
+// The refresh currently in progress, shared by every caller
+let refreshInFlight = null;
+
+/**
+ * Claims of a JWT (not verified: only used to read exp / nonce)
+ * @returns {Object|null}
+ */
+function decodeJwtPayload(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Expiry time of a JWT access token
+ * @returns {number|null} Milliseconds since epoch, or null if the token has no readable exp
+ */
+function getTokenExpiry(token) {
+    const payload = decodeJwtPayload(token);
+    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+/**
+ * Ask the backend for a new access token (refresh-token cookie)
+ * @returns {Promise<boolean>} Whether a new token was stored
+ */
+async function requestTokenRefresh() {
+    try {
+        const baseURL = await getApiBaseUrl();
+        const response = await fetchWithTimeout(`${baseURL}/auth/refresh-token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            const newToken = data.metaData && data.metaData.accessToken;
+            if (newToken) {
+                await setAuthToken(newToken);
+                return true;
+            }
+        }
+    } catch (error) {
+        console.error('Token refresh failed:', error);
+    }
+    return false;
+}
+
+/**
+ * Refresh the access token, joining a refresh that is already running
+ * @param {string|null} rejectedToken - Token the server just rejected; if storage already
+ *   holds a different one, another request refreshed it meanwhile and nothing is sent
+ * @returns {Promise<boolean>} Whether a usable new token is stored
+ */
+async function refreshAccessToken(rejectedToken = null) {
+    if (refreshInFlight) return refreshInFlight;
+
+    const current = await getAuthToken();
+    if (rejectedToken && current && current !== rejectedToken) return true;
+
+    // Another caller may have started one while storage was read
+    if (!refreshInFlight) {
+        refreshInFlight = requestTokenRefresh().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+/**
+ * Schedule the renewal alarm for a token, or clear it when logged out
+ */
+async function scheduleTokenRenewal(token) {
+    const expiry = token ? getTokenExpiry(token) : null;
+    if (!expiry) {
+        await chrome.alarms.clear(TOKEN_CONFIG.alarmName);
+        return;
+    }
+
+    // chrome.alarms has a minimum granularity of 30 seconds
+    await chrome.alarms.create(TOKEN_CONFIG.alarmName, {
+        when: Math.max(expiry - TOKEN_CONFIG.renewBefore, Date.now() + 30 * 1000)
+    });
+}
+
+/**
+ * Renewal alarm: refresh while still logged in
+ * A failed renewal leaves the token alone; the next request's 401 handles it
+ */
+async function renewAccessToken() {
+    if (!(await getAuthToken())) return;
+
+    const renewed = await refreshAccessToken();
+    if (!renewed) {
+        console.warn('Lingora: Proactive token renewal failed');
+    }
+}
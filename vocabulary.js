@@ -0,0 +1,128 @@
+/**
+ * Vocabulary Extraction for Lingora Chrome Extension
+ * Splits a selected passage into words, drops stop-words and words the user
+ * already has cards for, and ranks the rest with a bundled frequency list
+ */
+
+const VOCABULARY_CONFIG = {
+    frequencyListPath: 'data/en-frequency.txt',
+    minWordLength: 3,
+    maxWords: 60
+};
+
+// Function words and other very common words that are never worth a flashcard
+const STOP_WORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during',
+    'each', 'either', 'else', 'ever', 'every', 'few', 'for', 'from', 'further',
+    'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'may', 'me', 'might', 'mine', 'more', 'most', 'much', 'must', 'my', 'myself',
+    'neither', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'ought', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+    'same', 'shall', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these',
+    'they', 'this', 'those', 'though', 'through', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'very',
+    'was', 'we', 'were', 'what', 'when', 'where', 'whether', 'which', 'while', 'who', 'whom', 'whose', 'why', 'will', 'with', 'within', 'without', 'would',
+    'yet', 'you', 'your', 'yours', 'yourself', 'yourselves',
+    'let', 'lets', 'like', 'many', 'still', 'well', 'even', 'back', 'way', 'said', 'says', 'say', 'make', 'made', 'go', 'goes', 'went', 'gone',
+    'don', 'doesn', 'didn', 'isn', 'aren', 'wasn', 'weren', 'won', 'wouldn', 'couldn', 'shouldn', 'can\'t', 'won\'t', 'don\'t', 'doesn\'t', 'didn\'t',
+    'isn\'t', 'aren\'t', 'wasn\'t', 'weren\'t', 'i\'m', 'i\'ve', 'i\'ll', 'i\'d', 'you\'re', 'you\'ve', 'you\'ll', 'he\'s', 'she\'s', 'it\'s',
+    'we\'re', 'we\'ve', 'they\'re', 'they\'ve', 'that\'s', 'there\'s', 'what\'s', 'let\'s'
+]);
+
+let frequencyRanks = null;
+
+/**
+ * Load the bundled frequency list (one word per line, most common first)
+ * @returns {Promise<Map<string, number>>} Word -> 1-based rank
+ */
+async function loadFrequencyRanks() {
+    if (!frequencyRanks) {
+        const response = await fetch(chrome.runtime.getURL(VOCABULARY_CONFIG.frequencyListPath));
+        const words = (await response.text()).split('\n').map(word => word.trim()).filter(Boolean);
+        frequencyRanks = new Map(words.map((word, i) => [word, i + 1]));
+    }
+    return frequencyRanks;
+}
+
+/**
+ * Simple inflection stripping so "studies", "walked" and "running" match their base word
+ */
+function wordForms(word) {
+    const forms = [word];
+    if (word.endsWith('ies')) forms.push(`${word.slice(0, -3)}y`);
+    if (word.endsWith('es')) forms.push(word.slice(0, -2));
+    if (word.endsWith('s') && !word.endsWith('ss')) forms.push(word.slice(0, -1));
+    if (word.endsWith('ied')) forms.push(`${word.slice(0, -3)}y`);
+    if (word.endsWith('ed')) forms.push(word.slice(0, -2), word.slice(0, -1));
+    if (word.endsWith('ing')) forms.push(word.slice(0, -3), `${word.slice(0, -3)}e`);
+    return forms;
+}
+
+/**
+ * Split a passage into words with their counts and the first sentence each appears in
+ * Words that are only ever capitalized inside a sentence are treated as names and skipped
+ * @returns {Array<{word: string, count: number, sentence: string}>} In order of first appearance
+ */
+function tokenizePassage(text) {
+    const words = new Map();
+    const sentences = text.replace(/\s+/g, ' ').split(/(?<=[.!?…])\s+/);
+
+    sentences.forEach(sentence => {
+        const tokens = sentence.match(/[A-Za-z]+(?:['’-][A-Za-z]+)*/g) || [];
+        tokens.forEach((token, i) => {
+            const word = token.replace(/’/g, '\'').replace(/'s$/i, '').toLowerCase();
+            if (!words.has(word)) {
+                words.set(word, { word, count: 0, sentence: sentence.trim(), lowercase: false, name: false });
+            }
+
+            const entry = words.get(word);
+            entry.count++;
+            if (token[0] === token[0].toLowerCase()) {
+                entry.lowercase = true;
+            } else if (i > 0) {
+                entry.name = true;
+            }
+        });
+    });
+
+    // Fold inflected forms into their base word when both occur ("researchers" into "researcher")
+    words.forEach((entry, word) => {
+        const base = wordForms(word).slice(1).find(form => words.has(form));
+        if (!base) return;
+        const target = words.get(base);
+        target.count += entry.count;
+        target.lowercase = target.lowercase || entry.lowercase;
+        words.delete(word);
+    });
+
+    return Array.from(words.values())
+        .filter(entry => entry.lowercase || !entry.name)
+        .map(({ word, count, sentence }) => ({ word, count, sentence }));
+}
+
+/**
+ * Candidate vocabulary in a passage, least common words first
+ * Words missing from the frequency list rank above every listed word;
+ * ties go to the word repeated most in the passage
+ * @returns {Promise<Array<{word: string, count: number, rank: number|null, level: string|null, sentence: string}>>}
+ */
+async function extractVocabulary(text) {
+    const [ranks, levels, index] = await Promise.all([loadFrequencyRanks(), loadWordLevels(), getFlashcardIndex()]);
+
+    const candidates = tokenizePassage(text || '')
+        .filter(({ word }) => word.length >= VOCABULARY_CONFIG.minWordLength && !STOP_WORDS.has(word))
+        .filter(({ word }) => !wordForms(word).some(form => index.entries.has(normalizeTerm(form))))
+        .map(entry => {
+            const listed = wordForms(entry.word).map(form => ranks.get(form)).filter(Boolean);
+            return {
+                ...entry,
+                rank: listed.length > 0 ? Math.min(...listed) : null,
+                level: findWordLevel(levels, entry.word)
+            };
+        });
+
+    const sortKey = rank => (rank === null ? Infinity : rank);
+    candidates.sort((a, b) => sortKey(b.rank) - sortKey(a.rank) || b.count - a.count);
+
+    return candidates.slice(0, VOCABULARY_CONFIG.maxWords);
+}
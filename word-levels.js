@@ -0,0 +1,66 @@
+/**
+ * Word Levels for Lingora Chrome Extension
+ * Estimated level (A1–C2 scale) of English words, shown as a badge on lookups and
+ * used to hide the lookup button for easy words. There is no freely redistributable
+ * CEFR word list to bundle, so levels are estimated from the word's rank in the
+ * bundled SUBTLEXus frequency list (data/en-frequency.txt, see data/SOURCES.md).
+ */
+
+const WORD_LEVEL_CONFIG = {
+    levels: ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'],
+    // Highest frequency rank of each level
+    frequencyBands: [
+        { level: 'A1', maxRank: 1000 },
+        { level: 'A2', maxRank: 2500 },
+        { level: 'B1', maxRank: 5000 },
+        { level: 'B2', maxRank: 10000 },
+        { level: 'C1', maxRank: 20000 }
+    ],
+    // Rarer than every listed word: English-looking words missing from the list are C2.
+    // Anything else (digits, other scripts) has no level
+    beyondListLevel: 'C2',
+    wordPattern: /^[a-z]+(?:['-][a-z]+)*$/
+};
+
+let wordLevels = null;
+
+/**
+ * Level of every word in the frequency list
+ * @returns {Promise<Map<string, string>>} Word -> level
+ */
+async function loadWordLevels() {
+    if (!wordLevels) {
+        const ranks = await loadFrequencyRanks();
+        wordLevels = new Map();
+        ranks.forEach((rank, word) => {
+            const band = WORD_LEVEL_CONFIG.frequencyBands.find(item => rank <= item.maxRank);
+            if (band) {
+                wordLevels.set(word, band.level);
+            }
+        });
+    }
+    return wordLevels;
+}
+
+/**
+ * Level of a word, using its most frequent form ("prices" is rated like "price")
+ * @returns {string|null}
+ */
+function findWordLevel(levels, word) {
+    const term = normalizeTerm(word);
+    const found = wordForms(term)
+        .map(form => levels.get(form))
+        .filter(Boolean)
+        .sort((a, b) => WORD_LEVEL_CONFIG.levels.indexOf(a) - WORD_LEVEL_CONFIG.levels.indexOf(b));
+    if (found.length > 0) return found[0];
+    return WORD_LEVEL_CONFIG.wordPattern.test(term) ? WORD_LEVEL_CONFIG.beyondListLevel : null;
+}
+
+/**
+ * Level of a looked-up term; only single English words have one
+ * @returns {Promise<string|null>}
+ */
+async function getWordLevel(term, sourceLang = 'en') {
+    if (sourceLang !== 'en' || !term || /\s/.test(term.trim())) return null;
+    return findWordLevel(await loadWordLevels(), term);
+}